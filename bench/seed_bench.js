@@ -0,0 +1,122 @@
+// Times the rating calculation of a 30k-row standings with the seed table of buildSeedTable
+// against the old way, one pass over all the contestants for each rating getSeed is asked
+// for, and checks that both give the same rating changes.
+// The standings are generated the same every run, or loaded from a round recorded with
+// test/record_round.js.
+// Run with: node bench/seed_bench.js [test/fixtures/rounds/<contestId>.json]
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ROWS = 30000;
+var SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'calculate.js'), 'utf8');
+
+// the calculator as the pages load it, as a script with its functions global
+function loadCalculator(withTable) {
+  var context = vm.createContext({});
+  vm.runInContext(SOURCE, context);
+  // getSeed falls back to the pass over the contestants when there's no table
+  if (!withTable) {
+    context.buildSeedTable = function () {
+      return null;
+    };
+  }
+  return context;
+}
+
+// a small generator with a seed, so every run gets the same standings
+function random(seed) {
+  return function () {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+// ratings around 1400, some newcomers, ranks following the ratings with a lot of noise and
+// ties on the same score
+function generateStandings(count) {
+  var rand = random(42);
+  var people = [];
+  for (var i = 0; i < count; i++) {
+    var newcomer = rand() < 0.15;
+    // sum of uniforms, about normal
+    var rating = Math.round(1400 + (rand() + rand() + rand() - 1.5) * 700);
+    rating = Math.max(0, Math.min(3800, rating));
+    people.push({
+      handle: 'user' + i,
+      rating: newcomer ? 0 : rating,
+      contestCount: newcomer ? 0 : undefined,
+      score: Math.round((newcomer ? 1400 : rating) + (rand() - 0.5) * 1500) / 25
+    });
+  }
+  people.sort(function (a, b) {
+    return b.score - a.score;
+  });
+  var rank = 0;
+  people.forEach(function (p, i) {
+    if (i === 0 || p.score != people[i - 1].score) rank = i + 1;
+    p.rank = rank;
+  });
+  return {
+    ratings: people.map(function (p) {
+      return p.rating;
+    }),
+    ranks: people.map(function (p) {
+      return p.rank;
+    }),
+    handles: people.map(function (p) {
+      return p.handle;
+    }),
+    contestCounts: people.map(function (p) {
+      return p.contestCount;
+    })
+  };
+}
+
+// a round of record_round.js, calculated like calculate_test.js does
+function loadStandings(file) {
+  var round = JSON.parse(fs.readFileSync(file, 'utf8'));
+  var oldRatings = {};
+  round.ratingChanges.forEach(function (change) {
+    oldRatings[change.handle] = change.oldRating;
+  });
+  var standings = { ratings: [], ranks: [], handles: [], contestCounts: [] };
+  round.rows.forEach(function (row) {
+    if (!(row.handle in oldRatings)) return;
+    var rating = oldRatings[row.handle];
+    standings.ratings.push(rating);
+    standings.ranks.push(row.rank);
+    standings.handles.push(row.handle);
+    standings.contestCounts.push(rating === 0 ? 0 : undefined);
+  });
+  return standings;
+}
+
+function run(calculator, standings) {
+  var start = Date.now();
+  var results = calculator.CalculateRatingChanges(
+    standings.ratings,
+    standings.ranks,
+    standings.handles,
+    standings.contestCounts
+  );
+  var deltas = {};
+  results.forEach(function (res) {
+    deltas[res.party] = res.displayDelta;
+  });
+  return { time: (Date.now() - start) / 1000, deltas: deltas };
+}
+
+var file = process.argv[2];
+var standings = file ? loadStandings(file) : generateStandings(ROWS);
+console.log(standings.handles.length + ' contestants' + (file ? ' of ' + file : ''));
+
+var table = run(loadCalculator(true), standings);
+console.log('seed table: ' + table.time.toFixed(2) + 's');
+var old = run(loadCalculator(false), standings);
+console.log('pass per rating: ' + old.time.toFixed(2) + 's');
+
+assert.deepStrictEqual(table.deltas, old.deltas);
+console.log('same rating changes, ' + (old.time / table.time).toFixed(1) + 'x faster');
@@ -0,0 +1,276 @@
+// Statistics of the submissions of a user, used by both the single and the compare page
+// so that their numbers always agree. No DOM here, only the data.
+
+// subs is the result of user.status, newest first
+// problemKey is a function from getProblemResolver, it merges problems of parallel rounds
+function analyzeSubmissions(subs, problemKey) {
+  var ret = {}; // the object to return
+  ret.verdicts = {}; // submissions per verdict
+  ret.langs = {}; // submissions per language
+  ret.tags = {}; // solved problems per tag
+  ret.levels = {}; // solved problems per index, A1, A2 are merged into A
+  ret.ratings = {}; // solved problems per problem rating
+  ret.heatmap = {}; // submissions per day, keyed by the timestamp of the start of the day
+  ret.problems = {}; // every tried problem, keyed by problemKey
+  ret.totalSub = subs.length;
+  ret.years = 0; // how many calendar years the submissions span
+
+  // parsing all the submission from the oldest, so that attempts are counted till the first AC
+  for (var i = subs.length - 1; i >= 0; i--) {
+    var sub = subs[i];
+    var problemId = problemKey(sub.problem);
+    var problem = ret.problems[problemId];
+
+    if (problem === undefined) {
+      problem = ret.problems[problemId] = {
+        id: problemId,
+        link: sub.problem.contestId + '-' + sub.problem.index, // like 650-A, see get_url
+        name: sub.problem.name,
+        rating: sub.problem.rating,
+        tags: sub.problem.tags,
+        attempts: 0, // submissions till the first AC
+        solved: 0, // number of AC submissions
+        verdicts: {}, // submissions per verdict
+        lastVerdict: '', // of the newest submission
+        lastTime: 0,
+        lastFail: null // the newest submission that wasn't accepted, { id, contestId }
+      };
+    }
+    if (problem.solved === 0) problem.attempts++;
+    problem.verdicts[sub.verdict] = (problem.verdicts[sub.verdict] || 0) + 1;
+    problem.lastVerdict = sub.verdict;
+    problem.lastTime = sub.creationTimeSeconds;
+    if (sub.verdict != 'OK') {
+      // the copy of a parallel round might be in another contest
+      problem.lastFail = { id: sub.id, contestId: sub.problem.contestId };
+    }
+
+    if (sub.verdict == 'OK') {
+      problem.solved++;
+
+      // modifying level, rating, and tag counter on first AC.
+      if (problem.solved === 1) {
+        sub.problem.tags.forEach(function (t) {
+          ret.tags[t] = (ret.tags[t] || 0) + 1;
+        });
+        var level = sub.problem.index[0];
+        ret.levels[level] = (ret.levels[level] || 0) + 1;
+        if (sub.problem.rating) {
+          ret.ratings[sub.problem.rating] = (ret.ratings[sub.problem.rating] || 0) + 1;
+        }
+      }
+    }
+
+    ret.verdicts[sub.verdict] = (ret.verdicts[sub.verdict] || 0) + 1;
+    ret.langs[sub.programmingLanguage] = (ret.langs[sub.programmingLanguage] || 0) + 1;
+
+    var date = new Date(sub.creationTimeSeconds * 1000); // submission date
+    date.setHours(0, 0, 0, 0);
+    ret.heatmap[date.valueOf()] = (ret.heatmap[date.valueOf()] || 0) + 1;
+  }
+
+  if (subs.length > 0) {
+    ret.years =
+      new Date(subs[0].creationTimeSeconds * 1000).getFullYear() -
+      new Date(subs[subs.length - 1].creationTimeSeconds * 1000).getFullYear() +
+      1;
+  }
+
+  // some numbers about the tried problems
+  ret.tried = 0;
+  ret.solved = 0;
+  ret.unsolved = []; // problems tried but never solved
+  ret.maxAttempt = 0;
+  ret.maxAttemptProblem = '';
+  ret.maxAc = 0;
+  ret.maxAcProblem = '';
+  ret.solvedWithOneSub = 0;
+  for (var p in ret.problems) {
+    problem = ret.problems[p];
+    ret.tried++;
+    if (problem.solved > 0) ret.solved++;
+    else ret.unsolved.push(problem);
+
+    if (problem.attempts > ret.maxAttempt) {
+      ret.maxAttempt = problem.attempts;
+      ret.maxAttemptProblem = problem.link;
+    }
+    if (problem.solved > ret.maxAc) {
+      ret.maxAc = problem.solved;
+      ret.maxAcProblem = problem.link;
+    }
+    if (problem.solved > 0 && problem.attempts == 1) ret.solvedWithOneSub++;
+  }
+  // average submissions made to solve a problem
+  ret.averageAttempt = ret.solved ? ret.totalSub / ret.solved : 0;
+
+  return ret;
+}
+
+// keys of the problems solved by the user, to compare with other users
+function getSolvedKeys(subData) {
+  return Object.keys(subData.problems).filter(function (p) {
+    return subData.problems[p].solved > 0;
+  });
+}
+
+// tried and solved problems and their verdicts by tag, or by problem rating
+// by is 'tags' or 'rating', problems without a rating are left out by rating.
+// returns a list of { key, tried, solved, solveRate, averageAttempts, verdicts },
+// averageAttempts is of the solved ones, verdicts counts the submissions
+function getSolveStats(subData, by) {
+  var groups = {};
+  for (var p in subData.problems) {
+    var problem = subData.problems[p];
+    var keys = by == 'tags' ? problem.tags : problem.rating ? [problem.rating] : [];
+    keys.forEach(function (key) {
+      var group = groups[key];
+      if (group === undefined) {
+        group = groups[key] = {
+          key: key,
+          tried: 0,
+          solved: 0,
+          attempts: 0,
+          verdicts: {}
+        };
+      }
+      group.tried++;
+      if (problem.solved > 0) {
+        group.solved++;
+        group.attempts += problem.attempts;
+      }
+      for (var v in problem.verdicts) {
+        group.verdicts[v] = (group.verdicts[v] || 0) + problem.verdicts[v];
+      }
+    });
+  }
+  return Object.keys(groups).map(function (key) {
+    var group = groups[key];
+    return {
+      key: group.key,
+      tried: group.tried,
+      solved: group.solved,
+      solveRate: group.solved / group.tried,
+      averageAttempts: group.solved ? group.attempts / group.solved : 0,
+      verdicts: group.verdicts
+    };
+  });
+}
+
+// submissions and solved problems by participant type (CONTESTANT, VIRTUAL, PRACTICE,
+// OUT_OF_COMPETITION), and what became of the problems tried as a contestant: solved during
+// the contest, upsolved later or not solved yet. a problem counts as solved under the type
+// of its first AC. upsolveTime is the average seconds from the end of the contest to the
+// AC of the upsolved ones. subs and problemKey are like analyzeSubmissions', contests is the
+// result of contest.list for the durations. contests missing in it, like gym contests,
+// count from their start
+function getParticipationStats(subs, problemKey, contests) {
+  var ret = { types: {}, inContest: 0, upsolved: 0, notUpsolved: 0, upsolveTime: 0 };
+  var problems = {};
+  var durations = {};
+  contests.forEach(function (con) {
+    durations[con.id] = con.durationSeconds;
+  });
+
+  for (var i = subs.length - 1; i >= 0; i--) {
+    var sub = subs[i];
+    var type = sub.author.participantType;
+    var stat = ret.types[type];
+    if (stat === undefined)
+      stat = ret.types[type] = { submissions: 0, accepted: 0, solved: 0 };
+    stat.submissions++;
+
+    var key = problemKey(sub.problem);
+    var problem = problems[key];
+    if (problem === undefined) {
+      problem = problems[key] = { start: null, end: null, solvedAs: null, solvedAt: 0 };
+    }
+    if (type == 'CONTESTANT' && problem.start === null) {
+      problem.start = sub.author.startTimeSeconds || sub.creationTimeSeconds;
+      problem.end = problem.start + (durations[sub.author.contestId] || 0);
+    }
+    if (sub.verdict == 'OK') {
+      stat.accepted++;
+      if (problem.solvedAs === null) {
+        problem.solvedAs = type;
+        problem.solvedAt = sub.creationTimeSeconds;
+        stat.solved++;
+      }
+    }
+  }
+
+  var upsolveTime = 0;
+  for (key in problems) {
+    problem = problems[key];
+    // not tried in a contest, or solved before it
+    if (problem.start === null) continue;
+    if (problem.solvedAs !== null && problem.solvedAt < problem.start) continue;
+    if (problem.solvedAs == 'CONTESTANT') {
+      ret.inContest++;
+    } else if (problem.solvedAs !== null) {
+      ret.upsolved++;
+      upsolveTime += Math.max(0, problem.solvedAt - problem.end);
+    } else {
+      ret.notUpsolved++;
+    }
+  }
+  if (ret.upsolved) ret.upsolveTime = upsolveTime / ret.upsolved;
+  return ret;
+}
+
+// the problems of each rated contest of the user that they didn't solve during the contest,
+// and whether they solved them later. contests is the result of user.rating, problems the
+// problems of problemset.problems, subs and problemKey like analyzeSubmissions'.
+// returns a list of { contestId, contestName, time, inContest, problems }, inContest is the
+// count of the ones solved in the contest and problems are the others as { problem, solved }
+// contests missing in the problemset, like some special ones, are left out
+function getUpsolving(contests, problems, subs, problemKey) {
+  var byContest = {};
+  problems.forEach(function (p) {
+    if (byContest[p.contestId] === undefined) byContest[p.contestId] = [];
+    byContest[p.contestId].push(p);
+  });
+
+  var solvedInContest = {}; // like 650-A
+  var solved = {}; // by problemKey, the copy of a parallel round counts too
+  subs.forEach(function (sub) {
+    if (sub.verdict != 'OK') return;
+    solved[problemKey(sub.problem)] = true;
+    if (sub.author.participantType == 'CONTESTANT') {
+      solvedInContest[sub.problem.contestId + '-' + sub.problem.index] = true;
+    }
+  });
+
+  var ret = [];
+  contests.forEach(function (con) {
+    var list = byContest[con.contestId];
+    if (list === undefined) return;
+    var row = {
+      contestId: con.contestId,
+      contestName: con.contestName,
+      time: con.ratingUpdateTimeSeconds,
+      inContest: 0,
+      problems: []
+    };
+    list.forEach(function (p) {
+      if (solvedInContest[con.contestId + '-' + p.index]) row.inContest++;
+      else row.problems.push({ problem: p, solved: solved[problemKey(p)] === true });
+    });
+    row.problems.sort(function (a, b) {
+      return a.problem.index.localeCompare(b.problem.index);
+    });
+    ret.push(row);
+  });
+  return ret;
+}
+
+// lets the module be loaded in node too, to test it with recorded api responses
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    analyzeSubmissions: analyzeSubmissions,
+    getSolvedKeys: getSolvedKeys,
+    getSolveStats: getSolveStats,
+    getParticipationStats: getParticipationStats,
+    getUpsolving: getUpsolving
+  };
+}
@@ -0,0 +1,125 @@
+// Solve rate and verdicts of the tried problems by tag or by problem rating. The tags chart
+// only counts the solved problems, this shows the ones tried a lot and rarely solved.
+// Needs analysis.js, sortable_table.js and single.js
+
+// the verdicts shown, the others are counted together
+var BREAKDOWN_VERDICTS = [
+  { verdict: 'OK', title: 'AC', color: '#4CAF50' },
+  { verdict: 'WRONG_ANSWER', title: 'WA', color: '#f44336' },
+  { verdict: 'TIME_LIMIT_EXCEEDED', title: 'TLE', color: '#2196F3' },
+  { verdict: 'MEMORY_LIMIT_EXCEEDED', title: 'MLE', color: '#673AB7' },
+  { verdict: 'RUNTIME_ERROR', title: 'RTE', color: '#FF5722' }
+];
+
+var breakdownTable = null;
+var breakdownBy = ''; // what the table is by, its sorting is kept while it doesn't change
+
+$(document).ready(function () {
+  $('#breakdownBy').change(drawBreakdown);
+});
+
+// called from drawCharts, with subData of the time range
+function drawBreakdown() {
+  var by = $('#breakdownBy').val();
+  var rows = getSolveStats(subData, by).map(function (stat) {
+    var row = {
+      key: stat.key,
+      tried: stat.tried,
+      solved: stat.solved,
+      solveRate: stat.solveRate,
+      averageAttempts: stat.averageAttempts,
+      other: 0
+    };
+    BREAKDOWN_VERDICTS.forEach(function (info) {
+      row[info.verdict] = 0;
+    });
+    for (var v in stat.verdicts) {
+      if (getVerdictInfo(v)) row[v] = stat.verdicts[v];
+      else row.other += stat.verdicts[v];
+    }
+    return row;
+  });
+  $('#breakdownCon').removeClass('hidden');
+
+  if (by != breakdownBy) {
+    var columns = [
+      { key: 'key', title: by == 'tags' ? 'Tag' : 'Rating', numeric: by != 'tags' },
+      { key: 'tried', title: 'Tried', numeric: true },
+      { key: 'solved', title: 'Solved', numeric: true },
+      { key: 'solveRate', title: 'Solve rate', numeric: true, format: formatPercent },
+      {
+        key: 'averageAttempts',
+        title: 'Attempts to AC',
+        numeric: true,
+        format: function (value) {
+          return value ? value.toFixed(2) : '';
+        }
+      }
+    ];
+    BREAKDOWN_VERDICTS.slice(1).forEach(function (info) {
+      columns.push({ key: info.verdict, title: info.title, numeric: true });
+    });
+    columns.push({ key: 'other', title: 'Other', numeric: true });
+    breakdownTable = createSortableTable('#breakdownTable', columns, {
+      sortKey: by == 'tags' ? 'tried' : 'key',
+      sortAsc: by != 'tags'
+    });
+    breakdownBy = by;
+  }
+  breakdownTable.setRows(rows);
+  drawBreakdownChart(by, rows);
+}
+
+// a stacked bar of the verdicts of each row, the most tried tags first, the ratings from
+// the lowest
+function drawBreakdownChart(by, rows) {
+  var data = new google.visualization.DataTable();
+  data.addColumn('string', by == 'tags' ? 'Tag' : 'Rating');
+  BREAKDOWN_VERDICTS.forEach(function (info) {
+    data.addColumn('number', info.title);
+  });
+  data.addColumn('number', 'Other');
+  rows = rows.slice();
+  if (by == 'tags') sortRows(rows, 'tried', false);
+  else sortRows(rows, 'key', true);
+  rows.forEach(function (row) {
+    data.addRow(
+      [String(row.key)]
+        .concat(
+          BREAKDOWN_VERDICTS.map(function (info) {
+            return row[info.verdict];
+          })
+        )
+        .concat([row.other])
+    );
+  });
+
+  var options = {
+    height: Math.max(300, rows.length * 25 + 100),
+    title:
+      'Submissions by ' + (by == 'tags' ? 'tag' : 'problem rating') + ' of ' + handle,
+    isStacked: true,
+    fontName: 'Roboto',
+    titleTextStyle: titleTextStyle,
+    legend: { position: 'top' },
+    chartArea: { top: 60, bottom: 40, left: 150, right: 30 },
+    colors: BREAKDOWN_VERDICTS.map(function (info) {
+      return info.color;
+    }).concat(['#607D8B'])
+  };
+  var chart = new google.visualization.BarChart(
+    document.getElementById('breakdownChart')
+  );
+  chart.draw(data, options);
+}
+
+function getVerdictInfo(verdict) {
+  for (var i = 0; i < BREAKDOWN_VERDICTS.length; i++) {
+    if (BREAKDOWN_VERDICTS[i].verdict == verdict) return BREAKDOWN_VERDICTS[i];
+  }
+  return null;
+}
+
+function formatPercent(value) {
+  return (value * 100).toFixed(1) + '%';
+}
@@ -1,8 +1,44 @@
+// new accounts have a displayed rating of 0, but are calculated with a hidden rating of 1400.
+// the displayed rating gets these bonuses in the first six rated contests, making up the difference
+var NEWCOMER_RATING = 1400;
+var NEWCOMER_BONUSES = [500, 350, 250, 150, 100, 50];
+
+var MAX_RATING = 8000; // ratings are searched up to this
+
+var PROGRESS_STEP = 200; // progress is reported after this many contestants
+
+// the rating used in calculation for a displayed rating after contestCount rated contests
+// contestCount may be undefined when it's not known, the user is taken as not a newcomer then
+function getHiddenRating(displayRating, contestCount) {
+  if (!isNewcomer(contestCount)) return displayRating;
+  var bonus = 0;
+  for (var i = 0; i < contestCount; i++) bonus += NEWCOMER_BONUSES[i];
+  return displayRating + NEWCOMER_RATING - bonus;
+}
+
+function isNewcomer(contestCount) {
+  return contestCount !== undefined && contestCount < NEWCOMER_BONUSES.length;
+}
+
 function getEloWinProbability(ra, rb) {
   return 1.0 / (1.0 + Math.pow(10.0, (rb - ra) / 400.0));
 }
 
+// expected rank of someone with the given rating, 1 + the chances of everyone beating them
 function getSeed(contestants, rating) {
+  if (contestants.seedTable === undefined) {
+    contestants.seedTable = buildSeedTable(contestants.content);
+  }
+  if (
+    contestants.seedTable !== null &&
+    rating >= 0 &&
+    rating <= MAX_RATING &&
+    rating % 1 === 0
+  ) {
+    return contestants.seedTable[rating];
+  }
+
+  // ratings out of the table, one pass over all the contestants
   if (rating in contestants.memSeed) {
     return contestants.memSeed[rating];
   }
@@ -14,9 +50,52 @@ function getSeed(contestants, rating) {
   return result;
 }
 
+// seeds of all the ratings from 0 to MAX_RATING at once.
+// the chance of beating someone depends only on the difference of the ratings,
+// so we count the contestants of each rating and convolve the counts with the chances.
+// that's one pass per distinct rating instead of one pass over all the contestants per seed.
+// returns null if some rating is not an integer, those can't be counted
+function buildSeedTable(content) {
+  var min = Infinity;
+  var max = -Infinity;
+  for (var i = 0; i < content.length; i++) {
+    var r = content[i].rating;
+    if (r % 1 !== 0) return null;
+    min = Math.min(min, r);
+    max = Math.max(max, r);
+  }
+
+  var table = new Float64Array(MAX_RATING + 1);
+  if (content.length === 0) {
+    table.fill(1.0);
+    return table;
+  }
+
+  var counts = new Float64Array(max - min + 1);
+  for (var i = 0; i < content.length; i++) {
+    counts[content[i].rating - min]++;
+  }
+
+  // chances[d - minDiff] is the chance of someone beating a contestant rated d more than them
+  var minDiff = -max;
+  var chances = new Float64Array(MAX_RATING - min - minDiff + 1);
+  for (var d = 0; d < chances.length; d++) {
+    chances[d] = getEloWinProbability(0, d + minDiff);
+  }
+
+  for (var rating = 0; rating <= MAX_RATING; rating++) {
+    var result = 1.0;
+    for (var j = 0; j < counts.length; j++) {
+      if (counts[j] > 0) result += counts[j] * chances[rating - (min + j) - minDiff];
+    }
+    table[rating] = result;
+  }
+  return table;
+}
+
 function getRatingToRank(contestants, realRating, rank) {
   var left = 1;
-  var right = 8000;
+  var right = MAX_RATING;
   while (right - left > 1) {
     var mid = parseInt((left + right) / 2);
     if (getSeed(contestants, mid) - getEloWinProbability(realRating, mid) < rank) {
@@ -57,6 +136,9 @@ function process(contestants) {
     var midRank = Math.sqrt(contestant.rank * contestant.seed);
     contestant.needRating = parseInt(getRatingToRank(contestants, rating, midRank));
     contestant.delta = parseInt((contestant.needRating - contestant.rating) / 2);
+    if (contestants.onProgress && i % PROGRESS_STEP === 0) {
+      contestants.onProgress(i, contestants.content.length);
+    }
   }
 
   contestants.content.sort(function (a, b) {
@@ -72,7 +154,6 @@ function process(contestants) {
     for (var i = 0; i < contestants.content.length; i++) {
       contestants.content[i].delta += inc;
     }
-    console.log(inc);
   }
 
   var sum = 0;
@@ -89,31 +170,140 @@ function process(contestants) {
   for (var i = 0; i < contestants.content.length; i++) {
     contestants.content[i].delta += inc;
   }
-  console.log(inc);
 }
 
-function CalculateRatingChanges(previousRatings, standingsRows, userId) {
+// contestCounts is optional, it's the number of rated contests each user had before,
+// needed to apply the newcomer rules. delta is the change of the hidden rating,
+// displayDelta is the change users see, they differ only for newcomers
+// onProgress is optional too, it's called with (done, total) while calculating
+function CalculateRatingChanges(
+  previousRatings,
+  standingsRows,
+  userId,
+  contestCounts,
+  onProgress
+) {
   var arr = [];
   for (var i = 0; i < standingsRows.length; i++) {
+    var contestCount = contestCounts ? contestCounts[i] : undefined;
     var currentContestant = {
       party: userId[i],
       rank: standingsRows[i],
-      rating: previousRatings[i],
+      rating: getHiddenRating(previousRatings[i], contestCount),
+      displayRating: previousRatings[i],
+      contestCount: contestCount,
+      newcomer: isNewcomer(contestCount),
       seed: 0.0,
       needRating: 0.0,
-      delta: 0
+      delta: 0,
+      displayDelta: 0
     };
     arr.push(currentContestant);
   }
   var memTmp = [];
   var contestants = {
     content: arr,
-    memSeed: memTmp
+    memSeed: memTmp,
+    onProgress: onProgress
   };
   process(contestants);
-  var result = {};
   for (var i = 0; i < contestants.content.length; i++) {
-    result[contestants.content[i].party] = contestants.content[i].delta;
+    var contestant = contestants.content[i];
+    contestant.displayDelta = contestant.delta;
+    if (contestant.newcomer)
+      contestant.displayDelta += NEWCOMER_BONUSES[contestant.contestCount];
   }
   return contestants.content;
 }
+
+// performance rating: the rating that would be expected to take the given rank in the contest.
+// previousRatings are the ratings of everyone in the contest, the user too, with their rating
+function getPerformanceRating(previousRatings, rating, rank) {
+  var count = previousRatings.length;
+  if (count < 2) return rating;
+  // the expected rank is always above 1 and below the last rank, the search would run to
+  // the ends of the rating range for those. the first and the last are aimed half a rank in
+  rank = Math.min(Math.max(rank, 1.5), count - 0.5);
+  var contestants = { content: [], memSeed: [] };
+  for (var i = 0; i < previousRatings.length; i++) {
+    contestants.content.push({ rating: previousRatings[i] });
+  }
+  return getRatingToRank(contestants, rating, rank);
+}
+
+// what-if sweep: rating changes of one more contestant, 'virtual user', put at different places
+// while everyone else stays the same.
+// task has the arguments of CalculateRatingChanges, { ratings, places, handles, contestCounts },
+// without the extra contestant, and
+//   rating, contestCount: of the extra contestant
+//   sweepPlaces: places to calculate its displayed delta at, like the standings ranks.
+//     a place between two ranks, like 4.5, is ahead of rank 5 and behind rank 4
+//   targets: displayed deltas to find the worst rank reaching, lastRank: the worst rank there is
+// onProgress is called with (done, total) after each calculation, total is an estimate
+// returns { deltas, targetRanks }, a delta for each sweep place and a rank for each target,
+// null if the target can't be reached even at the first place
+function CalculateSweep(task, onProgress) {
+  var memo = {}; // place -> delta, the targets search the same places again
+  var done = 0;
+  var total =
+    task.sweepPlaces.length +
+    task.targets.length * (Math.ceil(Math.log(task.lastRank + 1) / Math.LN2) + 2);
+
+  function deltaAt(place) {
+    if (place in memo) return memo[place];
+    // the places are sorted, the extra contestant goes after the ones ranked better
+    var i = 0;
+    while (i < task.places.length && task.places[i] <= place) i++;
+    var results = CalculateRatingChanges(
+      insertAt(task.ratings, i, task.rating),
+      insertAt(task.places, i, place),
+      insertAt(task.handles, i, 'virtual user'),
+      insertAt(task.contestCounts, i, task.contestCount)
+    );
+    for (var j = 0; j < results.length; j++) {
+      if (results[j].party == 'virtual user') memo[place] = results[j].displayDelta;
+    }
+    done++;
+    if (onProgress) onProgress(Math.min(done, total), total);
+    return memo[place];
+  }
+
+  // the deltas only get smaller going down the standings, so a binary search finds
+  // the worst rank r that still gets the target, being just ahead of the ones at rank r
+  function rankFor(target) {
+    if (deltaAt(0.5) < target) return null;
+    if (deltaAt(task.lastRank - 0.5) >= target) return task.lastRank;
+    var good = 1;
+    var bad = task.lastRank;
+    while (bad - good > 1) {
+      var mid = Math.floor((good + bad) / 2);
+      if (deltaAt(mid - 0.5) >= target) good = mid;
+      else bad = mid;
+    }
+    return good;
+  }
+
+  return {
+    deltas: task.sweepPlaces.map(deltaAt),
+    targetRanks: task.targets.map(rankFor)
+  };
+}
+
+function insertAt(arr, i, value) {
+  var copy = arr.slice();
+  copy.splice(i, 0, value);
+  return copy;
+}
+
+// lets the calculator be loaded in node too, to check it against recorded rating changes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CalculateRatingChanges: CalculateRatingChanges,
+    getSeed: getSeed,
+    getRatingToRank: getRatingToRank,
+    reassignRanks: reassignRanks,
+    getHiddenRating: getHiddenRating,
+    getPerformanceRating: getPerformanceRating,
+    CalculateSweep: CalculateSweep
+  };
+}
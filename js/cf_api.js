@@ -0,0 +1,193 @@
+// Codeforces API client shared by all the pages.
+// Every call goes through a queue so that we stay under the API rate limit,
+// transient failures are retried and responses are cached per method and arguments.
+
+var CF_API_URL = 'https://codeforces.com/api/';
+var CF_API_INTERVAL = 2000; // codeforces allows one call per two seconds
+var CF_API_RETRIES = 3;
+var CF_API_CACHE_TIME = 5 * 60 * 1000; // how long a cached response is reused, in ms
+
+// types of errors a request can fail with, see cfErrorMessage for the meaning
+var CF_ERROR = {
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_RATED: 'NOT_RATED',
+  RATE_LIMIT: 'RATE_LIMIT',
+  OFFLINE: 'OFFLINE',
+  ABORTED: 'ABORTED',
+  FAILED: 'FAILED'
+};
+
+var cfApiQueue = [];
+var cfApiCache = {};
+var cfApiLastCall = 0;
+var cfApiTimer = null;
+
+// calls an api method and returns a promise resolved with the `result` field of the response
+// the promise is rejected with an error object { type, comment }, type being one of CF_ERROR
+// like the jqXHR it replaces, the returned promise has an abort() method
+// options.cache = false skips the cache, for data that changes all the time
+function cfApi(method, params, options) {
+  params = params || {};
+  options = options || {};
+
+  var key = cfApiKey(method, params);
+  var entry = cfApiCache[key];
+  if (
+    options.cache === false ||
+    entry === undefined ||
+    Date.now() - entry.time > CF_API_CACHE_TIME
+  ) {
+    entry = {
+      time: Date.now(),
+      job: {
+        key: key,
+        method: method,
+        params: params,
+        attempts: 0,
+        waiting: 0,
+        xhr: null,
+        deferred: $.Deferred()
+      }
+    };
+    if (options.cache !== false) {
+      cfApiCache[key] = entry;
+      cfApiExpire(key, entry);
+    }
+    cfApiQueue.push(entry.job);
+    cfApiSchedule();
+  }
+
+  // every caller gets its own promise, so one page aborting doesn't break the others
+  var job = entry.job;
+  var d = $.Deferred();
+  job.waiting++;
+  job.deferred.done(d.resolve).fail(d.reject);
+
+  var promise = d.promise();
+  promise.abort = function () {
+    if (d.state() != 'pending') return;
+    d.reject({ type: CF_ERROR.ABORTED, comment: 'Request aborted' });
+    job.waiting--;
+    // nobody wants the response anymore, don't waste the bandwidth
+    if (job.waiting === 0) {
+      if (cfApiCache[job.key] && cfApiCache[job.key].job === job)
+        delete cfApiCache[job.key];
+      if (job.xhr) job.xhr.abort();
+    }
+  };
+  return promise;
+}
+
+// drops the entry from the cache once it's expired, so that big responses nobody asks for
+// again don't stay in memory
+function cfApiExpire(key, entry) {
+  entry.job.deferred.always(function () {
+    setTimeout(function () {
+      if (cfApiCache[key] === entry) delete cfApiCache[key];
+    }, CF_API_CACHE_TIME);
+  });
+}
+
+// returns a human readable message for an error returned by cfApi
+function cfErrorMessage(err) {
+  switch (err.type) {
+    case CF_ERROR.NOT_FOUND:
+      return err.comment || 'Not found';
+    case CF_ERROR.NOT_RATED:
+      return 'Contest is not rated, or not finished yet';
+    case CF_ERROR.RATE_LIMIT:
+      return 'Codeforces is limiting our requests, try again in a minute';
+    case CF_ERROR.OFFLINE:
+      return "Couldn't reach Codeforces. Check your connection";
+    default:
+      return err.comment || 'Codeforces API error';
+  }
+}
+
+// cache key, parameters are sorted so that the order they are given in doesn't matter
+function cfApiKey(method, params) {
+  var parts = Object.keys(params)
+    .sort()
+    .map(function (k) {
+      return k + '=' + params[k];
+    });
+  return method + '?' + parts.join('&');
+}
+
+// sends the next request in the queue as soon as the rate limit allows it
+function cfApiSchedule() {
+  if (cfApiTimer !== null || cfApiQueue.length === 0) return;
+  var wait = Math.max(0, cfApiLastCall + CF_API_INTERVAL - Date.now());
+  cfApiTimer = setTimeout(function () {
+    cfApiTimer = null;
+    cfApiNext();
+    cfApiSchedule();
+  }, wait);
+}
+
+function cfApiNext() {
+  var job = cfApiQueue.shift();
+  // every caller aborted before the request was sent
+  while (job && job.waiting === 0) job = cfApiQueue.shift();
+  if (!job) return;
+
+  cfApiLastCall = Date.now();
+  job.attempts++;
+  job.xhr = $.ajax({
+    url: CF_API_URL + job.method,
+    data: job.params,
+    dataType: 'json'
+  })
+    .done(function (data) {
+      if (data.status != 'OK') {
+        cfApiFailed(job, cfClassifyError(data.comment, 200));
+      } else if (job.method == 'contest.ratingChanges' && data.result.length === 0) {
+        // unrated contests and contests not finished yet have no rating changes
+        cfApiFailed(job, { type: CF_ERROR.NOT_RATED, comment: 'No rating changes' });
+      } else {
+        job.deferred.resolve(data.result);
+      }
+    })
+    .fail(function (xhr, status) {
+      if (status == 'abort') return;
+      var comment = xhr.responseJSON ? xhr.responseJSON.comment : null;
+      cfApiFailed(job, cfClassifyError(comment, xhr.status));
+    });
+}
+
+// retries the request if the error is transient, otherwise rejects it
+function cfApiFailed(job, err) {
+  job.xhr = null;
+  if (err.retry && job.attempts <= CF_API_RETRIES && job.waiting > 0) {
+    // back off a bit more after each failure
+    setTimeout(function () {
+      cfApiQueue.push(job);
+      cfApiSchedule();
+    }, CF_API_INTERVAL * Math.pow(2, job.attempts - 1));
+    return;
+  }
+  if (cfApiCache[job.key] && cfApiCache[job.key].job === job) delete cfApiCache[job.key];
+  job.deferred.reject({ type: err.type, comment: err.comment });
+}
+
+// the api tells what went wrong in the comment field of a FAILED response,
+// like "handle: User with handle xyz not found"
+function cfClassifyError(comment, httpStatus) {
+  if (comment) {
+    // strip the parameter name in front of the message
+    var message = comment.replace(/^\w+: /, '');
+    if (/limit exceeded/i.test(comment))
+      return { type: CF_ERROR.RATE_LIMIT, comment: message, retry: true };
+    if (/not found/i.test(comment)) return { type: CF_ERROR.NOT_FOUND, comment: message };
+    if (/rating changes are unavailable|not rated/i.test(comment))
+      return { type: CF_ERROR.NOT_RATED, comment: message };
+    return { type: CF_ERROR.FAILED, comment: message };
+  }
+  if (httpStatus == 429) return { type: CF_ERROR.RATE_LIMIT, retry: true };
+  if (typeof navigator !== 'undefined' && navigator.onLine === false)
+    return { type: CF_ERROR.OFFLINE };
+  // status 0 is a network (or CORS) failure, 5xx is codeforces being down. both may go away
+  if (httpStatus === 0 || httpStatus >= 500)
+    return { type: CF_ERROR.OFFLINE, retry: true };
+  return { type: CF_ERROR.FAILED, comment: 'Unexpected response (' + httpStatus + ')' };
+}
@@ -0,0 +1,276 @@
+// Persistent cache of the big api responses in IndexedDB.
+// user.status is refreshed incrementally, finished contests' standings and rating changes
+// are downloaded only once and reused across sessions, the contest list and the problemset
+// are reused for a while.
+// Needs cf_api.js
+
+var CF_DB_NAME = 'cfviz';
+var CF_DB_VERSION = 1;
+var CF_DB_STORE = 'responses';
+var CF_CONTEST_LIST_TIME = 60 * 60 * 1000; // contest.list is downloaded again after an hour
+var CF_PROBLEMSET_TIME = 24 * 60 * 60 * 1000; // problemset.problems, after a day
+var CF_STATUS_PAGE = 100; // submissions in the first page fetched when refreshing user.status
+// user.status is downloaded whole again after a week, older submissions can be rejudged or
+// skipped for plagiarism days after a round
+var CF_STATUS_FULL_TIME = 7 * 24 * 60 * 60 * 1000;
+var CF_INFO_BATCH = 300; // handles per user.info request, more makes the url too long
+
+var cfDb = null; // promise of the opened database, resolved with null if it's not available
+
+function cfDbOpen() {
+  if (cfDb !== null) return cfDb;
+  var d = $.Deferred();
+  cfDb = d.promise();
+  if (typeof indexedDB === 'undefined') return d.resolve(null).promise();
+
+  try {
+    var req = indexedDB.open(CF_DB_NAME, CF_DB_VERSION);
+    req.onupgradeneeded = function () {
+      req.result.createObjectStore(CF_DB_STORE);
+    };
+    req.onsuccess = function () {
+      d.resolve(req.result);
+    };
+    // private windows of some browsers don't allow IndexedDB, we just go without it
+    req.onerror = function () {
+      d.resolve(null);
+    };
+  } catch (e) {
+    d.resolve(null);
+  }
+  return cfDb;
+}
+
+// resolves with the stored { time, data } object, or undefined if there is nothing stored
+// never fails, a broken database is the same as an empty one
+function cfDbGet(key) {
+  return cfDbOpen().then(function (db) {
+    var d = $.Deferred();
+    if (!db) return d.resolve(undefined);
+    try {
+      var req = db.transaction(CF_DB_STORE, 'readonly').objectStore(CF_DB_STORE).get(key);
+      req.onsuccess = function () {
+        d.resolve(req.result);
+      };
+      req.onerror = function () {
+        d.resolve(undefined);
+      };
+    } catch (e) {
+      d.resolve(undefined);
+    }
+    return d.promise();
+  });
+}
+
+// stores data with the current time, or with the given time
+function cfDbPut(key, data, time) {
+  return cfDbOpen().then(function (db) {
+    var d = $.Deferred();
+    if (!db) return d.resolve();
+    try {
+      var tx = db.transaction(CF_DB_STORE, 'readwrite');
+      tx.objectStore(CF_DB_STORE).put(
+        { time: time === undefined ? Date.now() : time, data: data },
+        key
+      );
+      tx.oncomplete = function () {
+        d.resolve();
+      };
+      // probably out of quota, not worth bothering the user about
+      tx.onerror = tx.onabort = function () {
+        d.resolve();
+      };
+    } catch (e) {
+      d.resolve();
+    }
+    return d.promise();
+  });
+}
+
+// all the submissions of a user, newest first, like the result of user.status
+// only the submissions newer than the stored copy are downloaded, and the ones stored while
+// still being judged. the stored time is of the last time all of them were downloaded
+function getUserStatus(handle) {
+  var key = 'user.status?' + handle.toLowerCase();
+
+  return cfStoredRequest(function (request) {
+    return cfDbGet(key).then(function (stored) {
+      if (!stored || Date.now() - stored.time > CF_STATUS_FULL_TIME) {
+        return request('user.status', { handle: handle }).then(
+          function (result) {
+            cfDbPut(key, result);
+            return result;
+          },
+          function (err) {
+            if (stored && err.type == CF_ERROR.OFFLINE) return stored.data;
+            return $.Deferred().reject(err);
+          }
+        );
+      }
+
+      return cfFetchNewSubmissions(
+        request,
+        handle,
+        stored.data,
+        1,
+        CF_STATUS_PAGE,
+        []
+      ).then(
+        function (fresh) {
+          var result = cfMergeSubmissions(stored.data, fresh);
+          cfDbPut(key, result, stored.time);
+          return result;
+        },
+        function (err) {
+          // better show what we have than nothing
+          if (err.type == CF_ERROR.OFFLINE) return stored.data;
+          return $.Deferred().reject(err);
+        }
+      );
+    });
+  });
+}
+
+// standings of a contest, stored if the contest is finished
+function getContestStandings(contestId) {
+  var key = 'contest.standings?' + contestId;
+
+  return cfStoredRequest(function (request) {
+    return cfDbGet(key).then(function (stored) {
+      if (stored) return stored.data;
+      return request('contest.standings', { contestId: contestId }).then(function (
+        result
+      ) {
+        if (result.contest.phase == 'FINISHED') cfDbPut(key, result);
+        return result;
+      });
+    });
+  });
+}
+
+// rating changes of a contest. they are only available when the contest is finished,
+// so they can always be stored
+function getRatingChanges(contestId) {
+  var key = 'contest.ratingChanges?' + contestId;
+
+  return cfStoredRequest(function (request) {
+    return cfDbGet(key).then(function (stored) {
+      if (stored) return stored.data;
+      return request('contest.ratingChanges', { contestId: contestId }).then(function (
+        result
+      ) {
+        cfDbPut(key, result);
+        return result;
+      });
+    });
+  });
+}
+
+// list of all the contests, except gym. new contests are added all the time,
+// so the stored copy is reused for a while only
+function getContestList() {
+  return cfRecentRequest('contest.list', CF_CONTEST_LIST_TIME);
+}
+
+// all the problems of the problemset, { problems, problemStatistics }
+// like the contest list, new problems are added and rated all the time
+function getProblemset() {
+  return cfRecentRequest('problemset.problems', CF_PROBLEMSET_TIME);
+}
+
+// result of an api method without parameters, the stored copy is used if it's newer than
+// maxAge milliseconds, or if we are offline
+function cfRecentRequest(method, maxAge) {
+  return cfStoredRequest(function (request) {
+    return cfDbGet(method).then(function (stored) {
+      if (stored && Date.now() - stored.time < maxAge) return stored.data;
+      return request(method).then(
+        function (result) {
+          cfDbPut(method, result);
+          return result;
+        },
+        function (err) {
+          if (stored && err.type == CF_ERROR.OFFLINE) return stored.data;
+          return $.Deferred().reject(err);
+        }
+      );
+    });
+  });
+}
+
+// downloads pages of user.status until reaching a submission we already have, and the oldest
+// stored one without a final verdict. pages get bigger each time, so a user not seen for a
+// long time doesn't take forever
+function cfFetchNewSubmissions(request, handle, stored, from, count, fresh) {
+  var until = stored.length ? stored[0].id : -1;
+  stored.forEach(function (sub) {
+    if (sub.verdict === undefined || sub.verdict == 'TESTING')
+      until = Math.min(until, sub.id);
+  });
+  return request(
+    'user.status',
+    { handle: handle, from: from, count: count },
+    { cache: false }
+  ).then(function (page) {
+    fresh = fresh.concat(page);
+    if (page.length < count || page[page.length - 1].id <= until) return fresh;
+    return cfFetchNewSubmissions(request, handle, stored, from + count, count * 2, fresh);
+  });
+}
+
+// fresh submissions replace the stored ones with the same id, their verdicts may have changed
+function cfMergeSubmissions(stored, fresh) {
+  if (fresh.length === 0) return stored;
+  var oldest = fresh[fresh.length - 1].id;
+  return fresh.concat(
+    stored.filter(function (sub) {
+      return sub.id < oldest;
+    })
+  );
+}
+
+// user.info of many users, resolves with an object from handle to user
+// the handles are sent in batches, all of them in one url would be too long
+// onProgress(done, total) is called after each batch, if given
+function getUsersInfo(handles, onProgress) {
+  var users = {};
+
+  return cfStoredRequest(function (request) {
+    function next(from) {
+      if (from >= handles.length) return $.Deferred().resolve(users);
+      var batch = handles.slice(from, from + CF_INFO_BATCH);
+      return request('user.info', { handles: batch.join(';') }).then(function (result) {
+        result.forEach(function (user) {
+          users[user.handle] = user;
+        });
+        if (onProgress) onProgress(from + batch.length, handles.length);
+        return next(from + CF_INFO_BATCH);
+      });
+    }
+    return next(0);
+  });
+}
+
+// runs a chain of api requests and returns a promise that can be aborted like cfApi's
+// fn gets a function with the same signature as cfApi to make the requests with
+function cfStoredRequest(fn) {
+  var d = $.Deferred();
+  var current = null;
+  var aborted = false;
+
+  function request(method, params, options) {
+    if (aborted) return $.Deferred().reject({ type: CF_ERROR.ABORTED });
+    current = cfApi(method, params, options);
+    return current;
+  }
+
+  fn(request).then(d.resolve, d.reject);
+
+  var promise = d.promise();
+  promise.abort = function () {
+    aborted = true;
+    if (current) current.abort();
+    d.reject({ type: CF_ERROR.ABORTED, comment: 'Request aborted' });
+  };
+  return promise;
+}
@@ -1,103 +1,110 @@
-var api_url = 'https://codeforces.com/api/';
-var handle1 = '';
-var handle2 = '';
+var MAX_HANDLES = 10; // more than this makes the charts unreadable
 
-var conData1 = {}; // contest data for user 1
-var conData2 = {}; // contest data for suer 1
+var handles = []; // the handles being compared
 
-var subData1 = {}; // submission data for user 1
-var subData2 = {}; // submission data for user 2
+var conData = []; // contest data of each user, null if they have none
+var subData = []; // submission data of each user, null if they have none
 
-var colors = ['#009688', '#3F51B5'];
+// a color for each user, in the order of the handles
+var colors = [
+  '#009688',
+  '#3F51B5',
+  '#FF9800',
+  '#E91E63',
+  '#8BC34A',
+  '#9C27B0',
+  '#03A9F4',
+  '#795548',
+  '#F44336',
+  '#607D8B'
+];
 
-var req1, req2, req3, req4;
+var problemDiff = null; // result of getProblemDiff for the chosen users
+var problemDiffTable = null;
+
+var reqs = []; // requests in progress
+var compareId = 0; // increased on every submit, so that old responses are ignored
 
 google.charts.load('current', { packages: ['corechart'] });
 
 $(document).ready(function () {
   $('#handleform').submit(function (e) {
     e.preventDefault();
-    $('#handle1').blur();
-    $('#handle2').blur();
+    $('#handles').blur();
 
     resetData();
+    var id = compareId;
 
-    handle1 = $('#handle1').val().trim();
-    handle2 = $('#handle2').val().trim();
+    handles = parseHandles($('#handles').val());
 
-    if (!handle1) {
-      err_message('handle2Div', 'Enter a name');
+    if (handles.length < 2) {
+      err_message('handlesDiv', 'Enter at least two handles');
       $('#mainSpinner').removeClass('is-active');
       return;
     }
-    if (!handle2) {
-      err_message('handle2Div', 'Enter a name');
+    if (handles.length > MAX_HANDLES) {
+      err_message('handlesDiv', 'At most ' + MAX_HANDLES + ' handles');
       $('#mainSpinner').removeClass('is-active');
       return;
     }
+    // so that the url can be shared
+    if (window.history.replaceState) {
+      window.history.replaceState(null, '', '?handles=' + handles.join(','));
+    }
 
-    //Getting handle1 contest data
-    req1 = $.get(api_url + 'user.rating', { handle: handle1 }, function (data, status) {
-      console.log(data);
-      if (data.result.length > 0) conData1 = getContestStat(data);
-      else {
-        err_message('handle1Div', 'No contests');
-        conData1 = null;
-      }
-    }).fail(function (xhr, status) {
-      if (status != 'abort') {
-        err_message('handle1Div', "Couldn't find user");
-        $('#mainSpinner').removeClass('is-active');
-      }
+    // contest data of every user, a user that fails is left out of the charts
+    var ratingReqs = handles.map(function (handle, i) {
+      var req = cfApi('user.rating', { handle: handle });
+      reqs.push(req);
+      return req.then(
+        function (result) {
+          if (result.length > 0) conData[i] = getContestStat(result);
+          else requestFailed(handle, { comment: 'No contests' });
+        },
+        function (err) {
+          requestFailed(handle, err);
+        }
+      );
     });
 
-    //Getting handle2 contest data
-    req2 = $.get(api_url + 'user.rating', { handle: handle2 }, function (data, status) {
-      console.log(data);
-      if (data.result.length > 0) conData2 = getContestStat(data);
-      else {
-        err_message('handle2Div', 'No contests');
-        conData2 = null;
-      }
-    }).fail(function (xhr, status) {
-      if (status != 'abort') {
-        err_message('handle2Div', "Couldn't find user");
-        $('#mainSpinner').removeClass('is-active');
-      }
+    // getting the submission data, the api client queues these after the rating requests
+    var statusReqs = handles.map(function (handle) {
+      var req = getUserStatus(handle);
+      reqs.push(req);
+      return req.then(null, function (err) {
+        requestFailed(handle, err);
+        return null;
+      });
+    });
+    // needed to merge problems of parallel div 1 and div 2 rounds, not worth failing for
+    var req = getContestList();
+    reqs.push(req);
+    var contests = req.then(null, function () {
+      return [];
     });
 
-    $.when(req1, req2).then(function () {
+    $.when.apply($, ratingReqs).then(function () {
+      if (id != compareId) return;
       if (typeof google.visualization === 'undefined') {
-        if (conData1 && conData2) google.charts.setOnLoadCallback(drawConCharts);
+        google.charts.setOnLoadCallback(drawConCharts);
       } else {
-        if (conData1 && conData2) drawConCharts();
+        drawConCharts();
       }
 
-      // getting handle1 submission data
-      // firefox doesn't allow more then 3 active connections at a time
-      // that's why we have to send req3 and req4 when req1 and req2 is done
-      req3 = $.get(api_url + 'user.status', { handle: handle1 }, function (data, status) {
-        console.log(data);
-        if (data.result.length > 0) subData1 = getSubData(data);
-        else {
-          err_message('handle1Div', 'No submissions');
-          subData1 = null;
-        }
-      });
-      req4 = $.get(api_url + 'user.status', { handle: handle2 }, function (data, status) {
-        console.log(data);
-        if (data.result.length > 0) subData2 = getSubData(data);
-        else {
-          err_message('handle2Div', 'No submissions');
-          subData2 = null;
-        }
-      });
+      $.when.apply($, statusReqs.concat([contests])).then(function () {
+        if (id != compareId) return;
+        var results = Array.prototype.slice.call(arguments);
+        var problemKey = getProblemResolver(results.pop());
+        results.forEach(function (subs, i) {
+          if (subs === null) return;
+          if (subs.length > 0) subData[i] = analyzeSubmissions(subs, problemKey);
+          else requestFailed(handles[i], { comment: 'No submissions' });
+        });
 
-      $.when(req3, req4).then(function () {
         if (typeof google.visualization === 'undefined') {
-          if (subData1 && subData2) google.charts.setOnLoadCallback(drawSubCharts);
+          google.charts.setOnLoadCallback(drawSubCharts);
         } else {
-          if (subData1 && subData2) drawSubCharts();
+          drawSubCharts();
         }
         $('.share-div').removeClass('hidden');
         $('#mainSpinner').removeClass('is-active');
@@ -106,28 +113,117 @@ $(document).ready(function () {
     });
   });
 
-  handle1 = getParameterByName('handle1');
-  handle2 = getParameterByName('handle2');
-  if (handle1 !== null && handle2 !== null) {
-    $('#handle1').val(handle1);
-    $('#handle2').val(handle2);
+  // shared urls have ?handles=a,b,c, older ones ?handle1=a&handle2=b
+  var param = getParameterByName('handles');
+  if (param === null && getParameterByName('handle1') !== null) {
+    param = [getParameterByName('handle1'), getParameterByName('handle2') || ''].join(
+      ','
+    );
+  }
+  if (param !== null) {
+    $('#handles').val(parseHandles(param).join(', '));
+    var field = document.getElementById('handlesDiv');
+    if (field.MaterialTextfield) field.MaterialTextfield.checkDirty();
     $('#handleform').submit();
   }
   $('#handleDiv').removeClass('hidden');
+
+  $('#headToHeadFirst, #headToHeadSecond, #headToHeadDivision').change(drawHeadToHead);
+
+  problemDiffTable = createSortableTable(
+    '#problemDiffTable',
+    [
+      { key: 'name', title: 'Problem', format: formatProblem },
+      { key: 'rating', title: 'Rating', numeric: true },
+      { key: 'tags', title: 'Tags' }
+    ],
+    { sortKey: 'rating', sortAsc: true, pageSize: 50 }
+  );
+  $('#problemDiffFirst, #problemDiffSecond').change(calculateProblemDiff);
+  $('#problemDiffList').change(showProblemDiff);
+  $('#problemDiffTag').change(filterProblemDiff);
+  $('#problemDiffMin, #problemDiffMax').on('input', filterProblemDiff);
 });
 
-// draw contest related charts, those can be done when req1 and req2 is complete
+// handles separated by commas or spaces, without repeats
+function parseHandles(text) {
+  var ret = [];
+  text.split(/[\s,;]+/).forEach(function (handle) {
+    if (handle && ret.indexOf(handle) == -1) ret.push(handle);
+  });
+  return ret;
+}
+
+// indices of the users that have the data, data is conData or subData
+function usersWith(data) {
+  var ret = [];
+  handles.forEach(function (handle, i) {
+    if (data[i]) ret.push(i);
+  });
+  return ret;
+}
+
+// column chart options for the users, each in their color
+function userOptions(users, options) {
+  return $.extend({}, commonOptions, options, {
+    legend: legend,
+    colors: users.map(function (i) {
+      return colors[i];
+    })
+  });
+}
+
+// a table with a row for each label, a column for each user.
+// values(user) gives the values of a user for the labels
+function userTable(users, labels, values) {
+  var table = [['Handle'].concat(users.map(userHandle))];
+  var columns = users.map(values);
+  labels.forEach(function (label, j) {
+    table.push(
+      [label].concat(
+        columns.map(function (c) {
+          return c[j];
+        })
+      )
+    );
+  });
+  return google.visualization.arrayToDataTable(table);
+}
+
+// a view of a data table with an annotation showing the value of each user's column
+function annotatedView(table, users) {
+  var columns = [0];
+  users.forEach(function (u, i) {
+    columns.push(i + 1, {
+      calc: 'stringify',
+      sourceColumn: i + 1,
+      type: 'string',
+      role: 'annotation'
+    });
+  });
+  var view = new google.visualization.DataView(table);
+  view.setColumns(columns);
+  return view;
+}
+
+function userHandle(i) {
+  return handles[i];
+}
+
+// draw contest related charts, those can be done when all the user.rating requests are complete
 function drawConCharts() {
+  var users = usersWith(conData);
+  if (users.length === 0) return;
+
   //Rating
-  var rating = new google.visualization.arrayToDataTable([
-    ['Handle', handle1, handle2],
-    ['Current Rating', conData1.rating, conData2.rating],
-    ['Max Rating', conData1.maxRating, conData2.maxRating],
-    ['Min Rating', conData1.minRating, conData2.minRating]
-  ]);
-  var ratingOptions = $.extend({}, commonOptions, {
-    legend: legend,
-    colors: colors,
+  var rating = userTable(
+    users,
+    ['Current Rating', 'Max Rating', 'Min Rating'],
+    function (i) {
+      return [conData[i].rating, conData[i].maxRating, conData[i].minRating];
+    }
+  );
+  var ratingOptions = userOptions(users, {
     vAxis: {
       minValue: 0
     }
@@ -139,45 +235,51 @@ function drawConCharts() {
   ratingChart.draw(rating, ratingOptions);
 
   // Contests Count
-  plotTwo('contestsCount', conData1.tot, conData2.tot, 'Contests');
+  plotAll(
+    'contestsCount',
+    users,
+    function (i) {
+      return conData[i].tot;
+    },
+    'Contests'
+  );
 
   // Max up and downs
-  var upDowns = new google.visualization.arrayToDataTable([
-    ['Handle', handle1, handle2],
-    ['Max Up', conData1.maxUp, conData2.maxUp],
-    ['Max Down', conData1.maxDown, conData2.maxDown]
-  ]);
-  var upDownsOptions = $.extend({}, commonOptions, {
-    legend: legend,
-    colors: colors
+  var upDowns = userTable(users, ['Max Up', 'Max Down'], function (i) {
+    return [conData[i].maxUp, conData[i].maxDown];
   });
   var upDownsChart = new google.visualization.ColumnChart(
     document.getElementById('upDowns')
   );
   $('#upDowns').removeClass('hidden');
-  upDownsChart.draw(upDowns, upDownsOptions);
+  upDownsChart.draw(upDowns, userOptions(users, {}));
 
   //Worst Best
   $('#bestWorst').removeClass('hidden');
-  $('#user1').html(handle1);
-  $('#user2').html(handle2);
-  $('#user1Best').html(conData1.best);
-  $('#user2Best').html(conData2.best);
-  $('#user1Worst').html(conData1.worst);
-  $('#user2Worst').html(conData2.worst);
+  users.forEach(function (i) {
+    $('#bestWorstHead').append($('<th>').append(coloredHandle(i)));
+    $('#bestRow').append($('<td>').text(conData[i].best));
+    $('#worstRow').append($('<td>').text(conData[i].worst));
+  });
 
   // Rating Timeline
   var timeline = new google.visualization.DataTable();
   timeline.addColumn('date', 'Date');
-  timeline.addColumn('number', handle1);
-  timeline.addColumn('number', handle2);
+  users.forEach(function (i) {
+    timeline.addColumn('number', handles[i]);
+  });
 
-  timeline.addRows(alignTimeline(conData1.timeline, conData2.timeline));
+  timeline.addRows(
+    alignTimeline(
+      users.map(function (i) {
+        return conData[i].timeline;
+      })
+    )
+  );
 
   $('#timelineCon').removeClass('hidden');
-  var timelineOptions = $.extend({}, commonOptions, scrollableOptions, {
+  var timelineOptions = $.extend({}, userOptions(users, {}), scrollableOptions, {
     title: 'Timeline',
-    legend: legend,
     width: Math.max(timeline.getNumberOfRows() * 7, $('#timelineCon').width()),
     height: 400,
     hAxis: {
@@ -185,9 +287,8 @@ function drawConCharts() {
     },
     vAxis: {
       viewWindowMode: 'pretty'
-    },
-    colors: colors,
-    curveType: 'function'
+    }
+    // no curveType, a curve would overshoot between the carried ratings
   });
   var timelineChart = new google.visualization.LineChart(
     document.getElementById('timeline')
@@ -196,50 +297,195 @@ function drawConCharts() {
 
   // Common Contests
   $('#commonContestsCon').removeClass('hidden');
-  $('#user1Con').html(handle1);
-  $('#user2Con').html(handle2);
+  users.forEach(function (i) {
+    $('#commonContestHead').append($('<th>').append(coloredHandle(i)));
+  });
   var con_url = 'https://codeforces.com/contest/';
-  var commonContests = getCommonContests(conData1.all, conData2.all);
+  var commonContests = getCommonContests(
+    users.map(function (i) {
+      return conData[i].all;
+    })
+  );
   commonContests.sort(function (a, b) {
     return a.contestId - b.contestId;
   });
   commonContests.forEach(function (con) {
-    var handle1El = '<td><span class="handle1Color">' + con.handle1 + '</span></td>';
-    var handle2El = '<td><span class="handle2Color">' + con.handle2 + '</span></td>';
-    var dis = con.handle2 - con.handle1;
-    dis =
-      dis > 0
-        ? '<td><span class="handle1Color">' + Math.abs(dis) + '</span></td>'
-        : '<td><span class="handle2Color">' + Math.abs(dis) + '</span></td>';
-    $('#commonContestList').append(
-      '<tr><td><a class="lnk" href="' +
-        con_url +
-        con.contestId +
-        '" target="_blank">' +
-        con.contestName +
-        '</a></td>' +
-        handle1El +
-        handle2El +
-        dis +
-        '</tr>'
+    var best = Math.min.apply(
+      Math,
+      con.ranks.filter(function (r) {
+        return r !== null;
+      })
+    );
+    var $row = $('<tr>').append(
+      $('<td>').append(
+        $('<a class="lnk" target="_blank">')
+          .attr('href', con_url + con.contestId)
+          .text(con.contestName)
+      )
     );
+    // the best rank in the color of its user
+    con.ranks.forEach(function (r, j) {
+      var $cell = $('<td>').text(r === null ? '' : r);
+      if (r === best) $cell.css('color', colors[users[j]]).addClass('best-rank');
+      $row.append($cell);
+    });
+    $('#commonContestList').append($row);
   });
   if (commonContests.length === 0) {
     $('#commonContestList').append('<tr><td>No common contests</td><tr>');
   }
+
+  showHeadToHead(users);
+}
+
+// the users of the head to head can be chosen, the first two at first
+function showHeadToHead(users) {
+  if (users.length < 2) return;
+  $('#headToHeadFirst, #headToHeadSecond').empty();
+  users.forEach(function (i) {
+    $('#headToHeadFirst, #headToHeadSecond').append(
+      $('<option>').val(i).text(handles[i])
+    );
+  });
+  $('#headToHeadFirst').val(users[0]);
+  $('#headToHeadSecond').val(users[1]);
+  $('#headToHeadCon').removeClass('hidden');
+  drawHeadToHead();
+}
+
+function drawHeadToHead() {
+  var a = parseInt($('#headToHeadFirst').val());
+  var b = parseInt($('#headToHeadSecond').val());
+  $('#headToHeadHead, #headToHeadStats, #headToHeadCount, #headToHeadChart').empty();
+  if (a == b) {
+    $('#headToHeadCount').text('Choose two different users');
+    return;
+  }
+
+  var h2h = getHeadToHead(conData[a].all, conData[b].all, $('#headToHeadDivision').val());
+  $('#headToHeadHead')
+    .append($('<th class="mdl-data-table__cell--non-numeric">'))
+    .append($('<th>').append(coloredHandle(a)))
+    .append($('<th>').append(coloredHandle(b)));
+  [
+    ['Wins', h2h.wins[0], h2h.wins[1]],
+    ['Longest winning streak', h2h.streaks[0], h2h.streaks[1]],
+    ['Average ranks ahead', h2h.averageGap, -h2h.averageGap],
+    ['Median ranks ahead', h2h.medianGap, -h2h.medianGap]
+  ].forEach(function (row) {
+    $('#headToHeadStats').append(
+      $('<tr>')
+        .append($('<td class="mdl-data-table__cell--non-numeric">').text(row[0]))
+        .append($('<td>').text(row[1]))
+        .append($('<td>').text(row[2]))
+    );
+  });
+
+  var count = h2h.contests.length;
+  if (count === 0) {
+    $('#headToHeadCount').text('No common contests');
+    return;
+  }
+  $('#headToHeadCount').text(
+    count +
+      (count == 1 ? ' common contest' : ' common contests') +
+      (h2h.draws ? ', ' + h2h.draws + ' with the same rank' : '')
+  );
+
+  // the difference of the rating changes, in the color of the one who gained more
+  var table = [['Contest', 'Difference', { role: 'style' }]];
+  h2h.contests.forEach(function (con) {
+    var diff = con.deltas[0] - con.deltas[1];
+    table.push([con.contestName, diff, colors[diff >= 0 ? a : b]]);
+  });
+  var options = $.extend({}, commonOptions, {
+    title: 'Rating change of ' + handles[a] + ' minus ' + handles[b],
+    width: Math.max($('#headToHeadCon').width(), count * 15),
+    legend: 'none',
+    hAxis: { textPosition: 'none' },
+    bar: { groupWidth: '80%' }
+  });
+  var chart = new google.visualization.ColumnChart(
+    document.getElementById('headToHeadChart')
+  );
+  chart.draw(google.visualization.arrayToDataTable(table), options);
+}
+
+// the problem lists of the two chosen users, see getProblemDiff
+function calculateProblemDiff() {
+  var a = parseInt($('#problemDiffFirst').val());
+  var b = parseInt($('#problemDiffSecond').val());
+  $('#problemDiffList option[value=first]').text('Solved only by ' + handles[a]);
+  $('#problemDiffList option[value=second]').text('Solved only by ' + handles[b]);
+  problemDiff = getProblemDiff(subData[a], subData[b]);
+  showProblemDiff();
+}
+
+// the chosen list, the tags of its problems can be filtered by
+function showProblemDiff() {
+  var problems = problemDiff[$('#problemDiffList').val()];
+  var tag = $('#problemDiffTag').val();
+  var tags = {};
+  problemDiffTable.setRows(
+    problems.map(function (problem) {
+      problem.tags.forEach(function (t) {
+        tags[t] = true;
+      });
+      return {
+        name: problem.name,
+        link: problem.link,
+        rating: problem.rating,
+        tags: problem.tags.join(', ')
+      };
+    })
+  );
+
+  $('#problemDiffTag').children().not(':first-child').remove();
+  Object.keys(tags)
+    .sort()
+    .forEach(function (t) {
+      $('#problemDiffTag').append($('<option>').val(t).text(t));
+    });
+  $('#problemDiffTag').val(tags[tag] ? tag : '');
+  filterProblemDiff();
+}
+
+function filterProblemDiff() {
+  var tag = $('#problemDiffTag').val();
+  var min = parseInt($('#problemDiffMin').val());
+  var max = parseInt($('#problemDiffMax').val());
+  var filter = function (row) {
+    if (tag && row.tags.split(', ').indexOf(tag) == -1) return false;
+    // unrated problems are only shown without a rating filter
+    if (!isNaN(min) && !(row.rating >= min)) return false;
+    if (!isNaN(max) && !(row.rating <= max)) return false;
+    return true;
+  };
+  problemDiffTable.setFilter(filter);
+  var count = problemDiffTable.rows.filter(filter).length;
+  $('#problemDiffCount').text(count + (count == 1 ? ' problem' : ' problems'));
+}
+
+function formatProblem(name, row) {
+  return $('<div>')
+    .append(
+      $('<a class="lnk" target="_blank">')
+        .attr('href', get_url(row.link))
+        .text(row.link.replace('-', '') + '. ' + name)
+    )
+    .html();
 }
 
-// draw the charts that need all the submission data of two users
+// draw the charts that need all the submission data of the users
 function drawSubCharts() {
+  var users = usersWith(subData);
+  if (users.length === 0) return;
+
   // Tried and solved
-  var solvedTried = new google.visualization.arrayToDataTable([
-    ['Handle', handle1, handle2],
-    ['Tried', subData1.tried, subData2.tried],
-    ['Solved', subData1.solved, subData2.solved]
-  ]);
-  var solvedTriedOptions = $.extend({}, commonOptions, {
-    legend: legend,
-    colors: colors,
+  var solvedTried = userTable(users, ['Tried', 'Solved'], function (i) {
+    return [subData[i].tried, subData[i].solved];
+  });
+  var solvedTriedOptions = userOptions(users, {
     vAxis: {
       minValue: 0
     }
@@ -250,150 +496,168 @@ function drawSubCharts() {
   $('#solvedTried').removeClass('hidden');
   solvedTriedChart.draw(solvedTried, solvedTriedOptions);
 
-  plotTwo('unsolved', subData1.unsolved, subData2.unsolved, 'Unsolved');
-  plotTwo('averageSub', subData1.averageSub, subData2.averageSub, 'Average Submission');
-  plotTwo('maxSub', subData1.maxSub, subData2.maxSub, 'Max submission');
-  plotTwo('maxAc', subData1.maxAc, subData2.maxAc, 'Max AC');
-  plotTwo(
+  plotAll(
+    'unsolved',
+    users,
+    function (i) {
+      return subData[i].unsolved.length;
+    },
+    'Unsolved'
+  );
+  plotAll(
+    'averageSub',
+    users,
+    function (i) {
+      return subData[i].averageAttempt;
+    },
+    'Average Submission'
+  );
+  plotAll(
+    'maxSub',
+    users,
+    function (i) {
+      return subData[i].maxAttempt;
+    },
+    'Max submission'
+  );
+  plotAll(
+    'maxAc',
+    users,
+    function (i) {
+      return subData[i].maxAc;
+    },
+    'Max AC'
+  );
+  plotAll(
     'oneSub',
-    subData1.solved ? (subData1.solvedWithOneSub / subData1.solved) * 100 : 0,
-    subData2.solved ? (subData2.solvedWithOneSub / subData2.solved) * 100 : 0,
+    users,
+    function (i) {
+      return subData[i].solved
+        ? (subData[i].solvedWithOneSub / subData[i].solved) * 100
+        : 0;
+    },
     'Solved with one submission (%)'
   );
 
-  // Common Solved
+  // Common Solved, by all of them
   $('#commonSolvedTable').removeClass('hidden');
-  var commonSolved = $(subData1.problems).filter(subData2.problems).length;
-  $('#commonSolved').html(commonSolved);
+  var commonSolved = getSolvedKeys(subData[users[0]]);
+  users.slice(1).forEach(function (i) {
+    commonSolved = $(commonSolved).filter(getSolvedKeys(subData[i])).get();
+  });
+  $('#commonSolved').html(commonSolved.length);
+
+  // which problems those are, and which only one of two users solved
+  if (users.length >= 2) {
+    $('#problemDiffFirst, #problemDiffSecond').empty();
+    users.forEach(function (i) {
+      $('#problemDiffFirst, #problemDiffSecond').append(
+        $('<option>').val(i).text(handles[i])
+      );
+    });
+    $('#problemDiffFirst').val(users[0]);
+    $('#problemDiffSecond').val(users[1]);
+    $('#problemDiffCon').removeClass('hidden');
+    calculateProblemDiff();
+  }
 
   // levels
   $('#levels').removeClass('hidden');
   var levels = new google.visualization.DataTable();
   levels.addColumn('string', 'Index');
-  levels.addColumn('number', handle1);
-  levels.addColumn('number', handle2);
-  levels.addRows(alignLevels(subData1.levels, subData2.levels));
-  var levelsView = new google.visualization.DataView(levels);
-  levelsView.setColumns([
-    0,
-    1,
-    {
-      calc: 'stringify',
-      sourceColumn: 1,
-      type: 'string',
-      role: 'annotation'
-    },
-    2,
-    {
-      calc: 'stringify',
-      sourceColumn: 2,
-      type: 'string',
-      role: 'annotation'
-    }
-  ]);
+  users.forEach(function (i) {
+    levels.addColumn('number', handles[i]);
+  });
+  levels.addRows(
+    alignLevels(
+      users.map(function (i) {
+        return subData[i].levels;
+      })
+    )
+  );
 
-  var levelsOptions = $.extend({}, scrollableOptions, commonOptions, {
-    width: Math.max($('#levels').width(), levels.getNumberOfRows() * 65),
+  var levelsOptions = $.extend({}, scrollableOptions, userOptions(users, {}), {
+    width: Math.max($('#levels').width(), levels.getNumberOfRows() * 30 * users.length),
     height: 400,
     title: 'Levels',
-    legend: legend,
-    colors: colors,
     bar: { groupWidth: '65%' },
     annotations: annotation
   });
   var levelsChart = new google.visualization.ColumnChart(
     document.getElementById('levels')
   );
-  levelsChart.draw(levelsView, levelsOptions);
+  levelsChart.draw(annotatedView(levels, users), levelsOptions);
 
   /* Problem Ratings */
   $('#pRatings').removeClass('hidden');
   var pRatings = new google.visualization.DataTable();
   pRatings.addColumn('string', 'Rating');
-  pRatings.addColumn('number', handle1);
-  pRatings.addColumn('number', handle2);
-  pRatings.addRows(alignPRatings(subData1.pRatings, subData2.pRatings));
-  var pRatingsView = new google.visualization.DataView(pRatings);
-  pRatingsView.setColumns([
-    0,
-    1,
-    {
-      calc: 'stringify',
-      sourceColumn: 1,
-      type: 'string',
-      role: 'annotation'
-    },
-    2,
-    {
-      calc: 'stringify',
-      sourceColumn: 2,
-      type: 'string',
-      role: 'annotation'
-    }
-  ]);
+  users.forEach(function (i) {
+    pRatings.addColumn('number', handles[i]);
+  });
+  pRatings.addRows(
+    alignPRatings(
+      users.map(function (i) {
+        return subData[i].ratings;
+      })
+    )
+  );
 
-  var pRatingsOptions = $.extend({}, scrollableOptions, commonOptions, {
-    width: Math.max($('#pRatings').width(), pRatings.getNumberOfRows() * 65),
+  var pRatingsOptions = $.extend({}, scrollableOptions, userOptions(users, {}), {
+    width: Math.max(
+      $('#pRatings').width(),
+      pRatings.getNumberOfRows() * 30 * users.length
+    ),
     height: 400,
     title: 'Problem Ratings',
-    legend: legend,
-    colors: colors,
     bar: { groupWidth: '65%' },
     annotations: annotation
   });
   var pRatingsChart = new google.visualization.ColumnChart(
     document.getElementById('pRatings')
   );
-  pRatingsChart.draw(pRatingsView, pRatingsOptions);
+  pRatingsChart.draw(annotatedView(pRatings, users), pRatingsOptions);
 
   //Tags chart
   $('#tags').removeClass('hidden');
   var tags = new google.visualization.DataTable();
   tags.addColumn('string', 'Index');
-  tags.addColumn('number', handle1);
-  tags.addColumn('number', handle2);
-  tags.addRows(alignTags(subData1.tags, subData2.tags));
-  var tagsView = new google.visualization.DataView(tags);
-  tagsView.setColumns([
-    0,
-    1,
-    {
-      calc: 'stringify',
-      sourceColumn: 1,
-      type: 'string',
-      role: 'annotation'
-    },
-    2,
-    {
-      calc: 'stringify',
-      sourceColumn: 2,
-      type: 'string',
-      role: 'annotation'
-    }
-  ]);
-  var tagsOptions = $.extend({}, scrollableOptions, commonOptions, {
-    width: Math.max($('#tags').width(), tags.getNumberOfRows() * 75),
+  users.forEach(function (i) {
+    tags.addColumn('number', handles[i]);
+  });
+  tags.addRows(
+    alignTags(
+      users.map(function (i) {
+        return subData[i].tags;
+      })
+    )
+  );
+  var tagsOptions = $.extend({}, scrollableOptions, userOptions(users, {}), {
+    width: Math.max($('#tags').width(), tags.getNumberOfRows() * 35 * users.length),
     height: 400,
     title: 'Tags',
-    legend: legend,
-    colors: colors,
     bar: { groupWidth: '60%' },
     annotations: annotation,
     chartArea: { top: 100, bottom: 120, left: 100, right: 75 }
   });
   var tagsChart = new google.visualization.ColumnChart(document.getElementById('tags'));
-  tagsChart.draw(tagsView, tagsOptions);
+  tagsChart.draw(annotatedView(tags, users), tagsOptions);
 }
 
-// when we need to compare two numbers, we can use this function
-// it takes the two numbers, a title and a div. then draws a column chart in that div comparing the numbers
-function plotTwo(div, n1, n2, title) {
-  if (!(n1 || n2)) return;
-  var table = new google.visualization.arrayToDataTable([
-    ['Handle', title, { role: 'style' }],
-    [handle1, n1, colors[0]],
-    [handle2, n2, colors[1]]
-  ]);
+// when we need to compare one number of each user, we can use this function
+// value(user) gives the number, the chart in the div has a column for each user in their color
+function plotAll(div, users, value, title) {
+  var values = users.map(value);
+  if (
+    !values.some(function (v) {
+      return v;
+    })
+  )
+    return;
+  var table = [['Handle', title, { role: 'style' }]];
+  users.forEach(function (i, j) {
+    table.push([handles[i], values[j], colors[i]]);
+  });
   var options = $.extend({}, commonOptions, {
     title: title,
     vAxis: {
@@ -403,26 +667,53 @@ function plotTwo(div, n1, n2, title) {
   });
   var chart = new google.visualization.ColumnChart(document.getElementById(div));
   $('#' + div).removeClass('hidden');
-  chart.draw(table, options);
+  chart.draw(google.visualization.arrayToDataTable(table), options);
+}
+
+function coloredHandle(i) {
+  return $('<span>').css('color', colors[i]).text(handles[i]);
 }
 
 function resetData() {
   $('#mainSpinner').addClass('is-active');
   $('.to-clear').empty();
   $('.to-hide').addClass('hidden');
+  $('#handlesDiv').removeClass('is-invalid');
+  $('#handlesDivErr').empty();
+  // the tables have a column for each user after the first
+  $('#bestWorstHead, #bestRow, #worstRow, #commonContestHead')
+    .children()
+    .not(':first-child')
+    .remove();
+
+  compareId++;
+  reqs.forEach(function (req) {
+    req.abort();
+  });
+  reqs = [];
+  conData = [];
+  subData = [];
+}
 
-  if (req1) req1.abort();
-  if (req2) req2.abort();
-  if (req3) req3.abort();
-  if (req4) req4.abort();
+// shows the error of a failed request of a handle under the input
+// the errors of all the handles are shown together
+function requestFailed(handle, err) {
+  if (err.type == CF_ERROR.ABORTED) return;
+  var message = handle + ': ' + cfErrorMessage(err);
+  var shown = $('#handlesDivErr').text();
+  // as text, the handles come from the url
+  $('#handlesDivErr').text(shown ? shown + ', ' + message : message);
+  $('#handlesDiv').addClass('is-invalid');
 }
 
+// receives the problem id like 650-A, gym contests have ids above 100000
 function get_url(p) {
   var con = p.split('-')[0];
   var index = p.split('-')[1];
 
   var url = '';
-  if (con.length < 4) url = 'https://codeforces.com/contest/' + con + '/problem/' + index;
+  if (parseInt(con) < 100000)
+    url = 'https://codeforces.com/contest/' + con + '/problem/' + index;
   else url = 'https://codeforces.com/problemset/gymProblem/' + con + '/' + index;
 
   return url;
@@ -442,10 +733,8 @@ function getParameterByName(name, url) {
 }
 
 function fbShareResult() {
-  var url;
-  if (handle1 && handle2)
-    url = window.location.href + '?handle1=' + handle1 + '&handle2=' + handle2;
-  else url = window.location.href;
+  var url = window.location.href.split('?')[0];
+  if (handles.length) url += '?handles=' + handles.join(',');
   window.open(
     'https://www.facebook.com/sharer/sharer.php?u=' + escape(url),
     '',
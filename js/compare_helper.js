@@ -45,150 +45,166 @@ var annotation = {
   }
 };
 
-// helper functions, partially copied from single.js
+// helper functions, the submissions are analyzed by analysis.js, it's needed here too
 
-function getSubData(data) {
-  var ret = {}; // the object to return
-  ret.levels = {};
-  ret.pRatings = {};
-  ret.tags = {};
-  var problems = {};
+// the functions below take a list with an object for each user, and return rows
+// with a column for each user. a user with nothing under a key gets a 0 there
 
-  // parsing all the submissions and saving useful data
-  for (var i = data.result.length - 1; i >= 0; i--) {
-    var sub = data.result[i];
-    var problemId = sub.problem.contestId + '-' + sub.problem.index;
-    if (problems[problemId] === undefined) {
-      problems[problemId] = {
-        subs: 1,
-        solved: 0
-      };
-    } else {
-      if (problems[problemId].solved === 0) problems[problemId].subs++;
-    }
-
-    if (sub.verdict == 'OK') {
-      problems[problemId].solved++;
-    }
-
-    if (problems[problemId].solved === 1 && sub.verdict == 'OK') {
-      sub.problem.tags.forEach(function (t) {
-        if (ret.tags[t] === undefined) ret.tags[t] = 1;
-        else ret.tags[t]++;
-      });
-
-      if (ret.levels[sub.problem.index[0]] === undefined)
-        ret.levels[sub.problem.index[0]] = 1;
-      else ret.levels[sub.problem.index[0]]++;
-
-      if (sub.problem.rating) {
-        ret.pRatings[sub.problem.rating] = ret.pRatings[sub.problem.rating] + 1 || 1;
-      }
-    }
-  }
-  ret.totalSub = data.result.length;
-  ret.tried = 0;
-  ret.solved = 0;
-  ret.maxSub = 0;
-  ret.maxAc = 0;
-  ret.unsolved = 0;
-  ret.solvedWithOneSub = 0;
-  for (var p in problems) {
-    ret.tried++;
-    if (problems[p].solved > 0) ret.solved++;
-    if (problems[p].solved === 0) ret.unsolved++;
-
-    ret.maxSub = Math.max(ret.maxSub, problems[p].subs);
-    ret.maxAc = Math.max(ret.maxAc, problems[p].solved);
-
-    if (problems[p].solved == problems[p].subs) ret.solvedWithOneSub++;
-  }
-  ret.averageSub = ret.totalSub / ret.solved;
-  ret.problems = Object.keys(problems);
-
-  return ret;
-}
-
-// align levels of solved problems for two users
-// if one user have solved no problems of a level and other user have,
-// we need to put 0 for the first user and the level
-function alignLevels(lev1, lev2) {
-  var ret = [];
-  for (var l in lev1) {
-    if (lev2[l] === undefined) ret.push([l, lev1[l], 0]);
-    else {
-      ret.push([l, lev1[l], lev2[l]]);
-      delete lev2[l];
-    }
-  }
-  for (l in lev2) {
-    ret.push([l, 0, lev2[l]]);
-  }
-  ret.sort(function (a, b) {
+// align levels of solved problems, sorted by level
+function alignLevels(levs) {
+  return alignCounts(levs).sort(function (a, b) {
     if (a[0] < b[0]) return -1;
     return 1;
   });
-  return ret;
 }
 
-function alignPRatings(lev1, lev2) {
-  var ret = [];
-  for (var l in lev1) {
-    if (lev2[l] === undefined) ret.push([l, lev1[l], 0]);
-    else {
-      ret.push([l, lev1[l], lev2[l]]);
-      delete lev2[l];
-    }
-  }
-  for (l in lev2) {
-    ret.push([l, 0, lev2[l]]);
-  }
-  ret.sort(function (a, b) {
+// align solved problems by problem rating, sorted by rating
+function alignPRatings(ratings) {
+  return alignCounts(ratings).sort(function (a, b) {
     if (parseInt(a[0]) < parseInt(b[0])) return -1;
     return 1;
   });
-  return ret;
 }
 
-// aligns tags
-function alignTags(tags1, tags2) {
-  var ret = [];
-  for (var t in tags1) {
-    if (tags2[t] === undefined) ret.push([t, tags1[t], 0]);
-    else {
-      ret.push([t, tags1[t], tags2[t]]);
-      delete tags2[t];
-    }
-  }
-  for (t in tags2) {
-    ret.push([t, 0, tags2[t]]);
-  }
-  ret.sort(function (a, b) {
-    if (a[1] + a[2] < b[1] + b[2]) return 1;
-    return -1;
+// aligns tags, the most solved tags first
+function alignTags(tags) {
+  return alignCounts(tags).sort(function (a, b) {
+    return rowSum(b) - rowSum(a);
+  });
+}
+
+function alignCounts(counts) {
+  var keys = {};
+  counts.forEach(function (c) {
+    for (var k in c) keys[k] = true;
+  });
+  return Object.keys(keys).map(function (k) {
+    return [k].concat(
+      counts.map(function (c) {
+        return c[k] || 0;
+      })
+    );
   });
-  return ret;
 }
 
-// returns common contests of two users
-function getCommonContests(lst1, lst2) {
+function rowSum(row) {
+  var sum = 0;
+  for (var i = 1; i < row.length; i++) sum += row[i];
+  return sum;
+}
+
+// contests at least two of the users took part in
+// returns a list of { contestId, contestName, ranks }, ranks has a rank or null for each user
+function getCommonContests(lists) {
   var ret = [];
-  for (var con in lst1) {
-    if (lst2[con] !== undefined) {
+  var seen = {};
+  lists.forEach(function (lst) {
+    for (var con in lst) {
+      if (seen[con]) continue;
+      seen[con] = true;
+      var ranks = lists.map(function (l) {
+        return l[con] === undefined ? null : l[con][1];
+      });
+      var count = ranks.filter(function (r) {
+        return r !== null;
+      }).length;
+      if (count < 2) continue;
       ret.push({
         contestId: con,
         // there might be <br> tag in problem names, we need re replace them
-        contestName: lst1[con][0].replace(new RegExp('<br>', 'g'), ' - '),
-        handle1: lst1[con][1],
-        handle2: lst2[con][1]
+        contestName: lst[con][0].replace(new RegExp('<br>', 'g'), ' - '),
+        ranks: ranks
       });
     }
+  });
+  return ret;
+}
+
+// divisions the head to head can be filtered by, tested on the contest names.
+// combined rounds are in both of their divisions, educational rounds are in div 2 too
+var DIVISIONS = {
+  div1: /div\.?\s*1\b/i,
+  div2: /div\.?\s*2\b/i,
+  div3: /div\.?\s*3\b/i,
+  div4: /div\.?\s*4\b/i,
+  educational: /educational/i,
+  global: /global round/i
+};
+
+// head to head of two users in the contests both of them took part in, in the order
+// they were held. a and b are the `all` of getContestStat, division a key of DIVISIONS
+// or 'all'. the lower rank wins, gaps are of b's rank minus a's, positive when a is ahead
+function getHeadToHead(a, b, division) {
+  var ret = {
+    contests: [],
+    wins: [0, 0],
+    draws: 0,
+    streaks: [0, 0],
+    averageGap: 0,
+    medianGap: 0
+  };
+  for (var con in a) {
+    if (b[con] === undefined) continue;
+    if (division != 'all' && !DIVISIONS[division].test(a[con][0])) continue;
+    ret.contests.push({
+      contestId: con,
+      contestName: a[con][0].replace(new RegExp('<br>', 'g'), ' - '),
+      ranks: [a[con][1], b[con][1]],
+      deltas: [a[con][2], b[con][2]],
+      time: a[con][3]
+    });
   }
+  ret.contests.sort(function (x, y) {
+    return x.time - y.time;
+  });
+
+  var streak = [0, 0];
+  var gaps = ret.contests.map(function (con) {
+    var gap = con.ranks[1] - con.ranks[0];
+    if (gap === 0) {
+      ret.draws++;
+      streak = [0, 0];
+    } else {
+      var winner = gap > 0 ? 0 : 1;
+      ret.wins[winner]++;
+      streak[winner]++;
+      streak[1 - winner] = 0;
+      ret.streaks[winner] = Math.max(ret.streaks[winner], streak[winner]);
+    }
+    return gap;
+  });
+  if (gaps.length === 0) return ret;
+
+  ret.averageGap = Math.round(
+    gaps.reduce(function (sum, g) {
+      return sum + g;
+    }, 0) / gaps.length
+  );
+  gaps.sort(function (x, y) {
+    return x - y;
+  });
+  var mid = Math.floor(gaps.length / 2);
+  ret.medianGap =
+    gaps.length % 2 ? gaps[mid] : Math.round((gaps[mid - 1] + gaps[mid]) / 2);
+  return ret;
+}
+
+// problems solved by both users and by only one of them, a and b are from
+// analyzeSubmissions. returns { both, first, second }, lists of its problem objects
+function getProblemDiff(a, b) {
+  var ret = { both: [], first: [], second: [] };
+  getSolvedKeys(a).forEach(function (p) {
+    if (b.problems[p] && b.problems[p].solved > 0) ret.both.push(a.problems[p]);
+    else ret.first.push(a.problems[p]);
+  });
+  getSolvedKeys(b).forEach(function (p) {
+    if (!(a.problems[p] && a.problems[p].solved > 0)) ret.second.push(b.problems[p]);
+  });
   return ret;
 }
 
 // parse all the contests and save useful data
-function getContestStat(data) {
+function getContestStat(contests) {
   var ret = {};
   ret.best = 1e10;
   ret.worst = -1e10;
@@ -201,13 +217,18 @@ function getContestStat(data) {
   ret.maxRating = 0;
   ret.minRating = 1e10;
   ret.rating = 0;
-  ret.tot = data.result.length;
+  ret.tot = contests.length;
   ret.timeline = [];
   ret.all = {};
 
-  for (var i = 0; i < data.result.length; i++) {
-    var con = data.result[i];
-    ret.all[con.contestId] = [con.contestName, con.rank];
+  for (var i = 0; i < contests.length; i++) {
+    var con = contests[i];
+    ret.all[con.contestId] = [
+      con.contestName,
+      con.rank,
+      con.newRating - con.oldRating,
+      con.ratingUpdateTimeSeconds
+    ];
     if (con.rank < ret.best) {
       ret.best = con.rank;
       ret.bestCon = con.contestId;
@@ -229,62 +250,84 @@ function getContestStat(data) {
     ret.maxRating = Math.max(ret.maxRating, con.newRating);
     ret.minRating = Math.min(ret.minRating, con.newRating);
 
-    if (i == data.result.length - 1) ret.rating = con.newRating;
+    if (i == contests.length - 1) ret.rating = con.newRating;
 
-    ret.timeline.push([con.ratingUpdateTimeSeconds, con.newRating]);
+    ret.timeline.push([con.ratingUpdateTimeSeconds, con.newRating, con.contestId]);
   }
 
   return ret;
 }
 
 // align timeline,
-// one user might have done a contest and other might haven't
-// we need to add a point for the one who hasn't, what his rating was in that time
-function alignTimeline(r1, r2) {
-  ret = [];
-  var i = 0;
-  var j = 0;
-  while (i <= r1.length || j <= r2.length) {
-    if (compDate(r1[i][0], r2[j][0]) === 0) {
-      ret.push([new Date(r1[i][0] * 1000), r1[i][1], r2[j][1]]);
-      i++;
-      j++;
-    } else if (compDate(r1[i][0], r2[j][0]) < 0) {
-      if (j === 0) ret.push([new Date(r1[i][0] * 1000), r1[i][1], null]);
-      else ret.push([new Date(r1[i][0] * 1000), r1[i][1], r2[j - 1][1]]);
-      i++;
-    } else {
-      if (i === 0) ret.push([new Date(r2[j][0] * 1000), null, r2[j][1]]);
-      else ret.push([new Date(r2[j][0] * 1000), r1[i - 1][1], r2[j][1]]);
-      j++;
-    }
+// one user might have done a contest and others might haven't
+// we need to add a point for the ones who haven't, what their rating was in that time
+// timelines has a list of [time, rating, contestId] for each user, see getContestStat
+// points are joined on the contestId, points without one are joined with a point
+// less than MAX_TIME_DIFF away. returns rows of [date, rating...] sorted by time,
+// the rating of a user is carried to the next rows, null before their first contest
+function alignTimeline(timelines) {
+  var points = [];
+  timelines.forEach(function (timeline, user) {
+    timeline.forEach(function (p) {
+      points.push({ time: p[0], rating: p[1], contestId: p[2], user: user });
+    });
+  });
+  points.sort(function (a, b) {
+    return a.time - b.time;
+  });
 
-    if (i == r1.length) {
-      while (j < r2.length) {
-        ret.push([new Date(r2[j][0] * 1000), r1[i - 1][1], r2[j][1]]);
-        j++;
-      }
-      break;
-    }
-    if (j == r2.length) {
-      while (i < r1.length) {
-        ret.push([new Date(r1[i][0] * 1000), r1[i][1], r2[j - 1][1]]);
-        i++;
-      }
-      break;
+  var rows = []; // { time, ratings }, sorted by time as they are made in the order of points
+  var byContest = {};
+  points.forEach(function (p) {
+    var row;
+    if (p.contestId !== undefined) row = byContest[p.contestId];
+    else row = findRowNear(rows, p.time, p.user);
+
+    if (row === undefined) {
+      row = { time: p.time, ratings: [] };
+      rows.push(row);
+      if (p.contestId !== undefined) byContest[p.contestId] = row;
     }
-  }
-  return ret;
+    row.ratings[p.user] = p.rating;
+  });
+
+  var current = timelines.map(function () {
+    return null;
+  });
+  return rows.map(function (row) {
+    row.ratings.forEach(function (rating, user) {
+      if (rating !== undefined) current[user] = rating;
+    });
+    return [new Date(row.time * 1000)].concat(current);
+  });
 }
 
-function compDate(d1, d2) {
-  if (Math.abs(d1 - d2) < MAX_TIME_DIFF) {
-    return 0;
+// the last row less than MAX_TIME_DIFF away from the time without a rating of the user,
+// undefined if there is none
+function findRowNear(rows, time, user) {
+  for (var i = rows.length - 1; i >= 0 && time - rows[i].time < MAX_TIME_DIFF; i--) {
+    if (rows[i].ratings[user] === undefined) return rows[i];
   }
-  return d1 - d2;
+  return undefined;
 }
 
 function err_message(div, msg) {
   $('#' + div + 'Err').html(msg);
   $('#' + div).addClass('is-invalid');
 }
+
+// lets the helpers be loaded in node too, to test them with recorded api responses
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_TIME_DIFF: MAX_TIME_DIFF,
+    alignLevels: alignLevels,
+    alignPRatings: alignPRatings,
+    alignTags: alignTags,
+    getCommonContests: getCommonContests,
+    getHeadToHead: getHeadToHead,
+    getProblemDiff: getProblemDiff,
+    getContestStat: getContestStat,
+    alignTimeline: alignTimeline,
+    findRowNear: findRowNear
+  };
+}
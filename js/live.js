@@ -0,0 +1,188 @@
+// Live rating change prediction, for a contest that's still running.
+// There are no rating changes yet, so ratings before the contest come from user.info.
+// Needs cf_api.js, cf_store.js, rating_task.js, sortable_table.js and vir.js
+
+var LIVE_REFRESH_TIME = 2 * 60 * 1000; // standings are downloaded again after this, in ms
+
+var liveContestId = null;
+var liveHandle = '';
+var liveRatings = {}; // handle -> rating before the contest, 0 for unrated users
+var liveTimer = null;
+var liveReqs = []; // requests in progress, to abort them when stopped
+var liveTable = null;
+
+$(document).ready(function () {
+  liveTable = createSortableTable(
+    '#liveTable',
+    [
+      { key: 'rank', title: 'Rank', numeric: true },
+      { key: 'handle', title: 'Handle' },
+      { key: 'rating', title: 'Rating', numeric: true },
+      { key: 'points', title: 'Points', numeric: true, format: formatLivePoints },
+      { key: 'delta', title: 'Predicted', numeric: true, format: formatDelta }
+    ],
+    {
+      sortKey: 'rank',
+      limit: 200,
+      highlight: function (row) {
+        return liveHandle !== '' && row.handle.toLowerCase() == liveHandle.toLowerCase();
+      }
+    }
+  );
+
+  $('#liveform').submit(function (e) {
+    e.preventDefault();
+    $('#liveContestId').blur();
+    $('#liveHandle').blur();
+    stopLive();
+
+    var contestId = $('#liveContestId').val().trim();
+    if (!contestId) {
+      err_message('liveContestIdDiv', 'Not valid contest ID');
+      return;
+    }
+    // ratings don't change while the contest is running, no need to download them again
+    if (contestId != liveContestId) liveRatings = {};
+    liveContestId = contestId;
+    liveHandle = $('#liveHandle').val().trim();
+
+    $('#liveCon').removeClass('hidden');
+    $('#liveOwn').empty();
+    liveTable.setRows([]);
+    liveRefresh();
+  });
+
+  $('#liveStop').click(function () {
+    stopLive();
+    setLiveStatus('Stopped');
+  });
+});
+
+// downloads the standings, and the ratings of new participants, and calculates the changes
+function liveRefresh() {
+  liveTimer = null;
+  setLiveStatus('Downloading standings...');
+
+  var req = cfApi('contest.standings', { contestId: liveContestId }, { cache: false });
+  liveReqs = [req];
+  req
+    .done(function (result) {
+      if (result.contest.phase == 'BEFORE') {
+        setLiveStatus("The contest hasn't started yet");
+        return;
+      }
+      var rows = result.rows.filter(function (row) {
+        return row.party.participantType == 'CONTESTANT';
+      });
+      loadLiveRatings(rows).done(function () {
+        calculateLive(rows, result.contest);
+      });
+    })
+    .fail(liveFailed);
+}
+
+// gets the ratings of the participants we don't know yet, in batches
+function loadLiveRatings(rows) {
+  var unknown = [];
+  rows.forEach(function (row) {
+    var handle = row.party.members[0].handle;
+    if (liveRatings[handle] === undefined) unknown.push(handle);
+  });
+
+  if (unknown.length > 0) setLiveStatus('Downloading ratings... 0 / ' + unknown.length);
+  var req = getUsersInfo(unknown, function (done, total) {
+    setLiveStatus('Downloading ratings... ' + done + ' / ' + total);
+  });
+  liveReqs = [req];
+  return req
+    .done(function (users) {
+      for (var handle in users) liveRatings[handle] = users[handle].rating || 0;
+    })
+    .fail(liveFailed);
+}
+
+function calculateLive(rows, contest) {
+  var handles = [];
+  var places = [];
+  var ratings = [];
+  var contestCounts = [];
+  var standings = {}; // handle -> row of the standings
+  rows.forEach(function (row) {
+    var handle = row.party.members[0].handle;
+    var rating = liveRatings[handle] || 0;
+    handles.push(handle);
+    places.push(row.rank);
+    ratings.push(rating);
+    // unrated users are newcomers, the rest are taken as not newcomers
+    contestCounts.push(rating === 0 ? 0 : undefined);
+    standings[handle] = row;
+  });
+
+  calculateInWorker('live', ratings, places, handles, contestCounts)
+    .progress(function (done, total) {
+      setLiveStatus('Calculating... ' + Math.floor((done / total) * 100) + '%');
+    })
+    .done(function (results) {
+      showLiveResult(results, standings, contest);
+
+      var time = new Date().toLocaleTimeString();
+      if (contest.phase == 'FINISHED') {
+        setLiveStatus('Contest finished, updated at ' + time);
+      } else {
+        setLiveStatus('Updated at ' + time + ', updating every 2 minutes');
+        liveTimer = setTimeout(liveRefresh, LIVE_REFRESH_TIME);
+      }
+    })
+    .fail(liveFailed);
+}
+
+function showLiveResult(results, standings, contest) {
+  var rows = results.map(function (res) {
+    // the calculator changes the ranks of ties, the standings have the real ones
+    var row = standings[res.party];
+    return {
+      rank: row.rank,
+      handle: res.party,
+      rating: res.displayRating,
+      points: row.points,
+      // only ICPC rules show the penalty, it breaks the ties of solved problems
+      penalty: contest.type == 'ICPC' ? row.penalty : null,
+      delta: res.displayDelta
+    };
+  });
+  liveTable.setRows(rows);
+
+  $('#liveOwn').empty();
+  rows.forEach(function (row) {
+    if (liveTable.highlight(row)) {
+      $('#liveOwn').text(
+        row.handle + ': rank ' + row.rank + ', predicted change ' + formatDelta(row.delta)
+      );
+    }
+  });
+}
+
+// the points stay a number to sort by, the penalty is only shown
+function formatLivePoints(points, row) {
+  return row.penalty === null ? points : points + ' (' + row.penalty + ')';
+}
+
+function stopLive() {
+  if (liveTimer !== null) clearTimeout(liveTimer);
+  liveTimer = null;
+  liveReqs.forEach(function (req) {
+    if (req.abort) req.abort();
+  });
+  liveReqs = [];
+  cancelCalculation('live');
+}
+
+function liveFailed(err) {
+  if (err.type == CF_ERROR.ABORTED) return;
+  stopLive();
+  setLiveStatus(cfErrorMessage(err));
+}
+
+function setLiveStatus(text) {
+  $('#liveStatus').text(text);
+}
@@ -0,0 +1,70 @@
+// Submissions by how they were made: in a contest, in a virtual contest or in practice,
+// and how many of the problems tried in contests were solved during them or upsolved later.
+// Needs analysis.js and single.js
+
+var PARTICIPANT_TYPES = [
+  { type: 'CONTESTANT', title: 'Contest' },
+  { type: 'VIRTUAL', title: 'Virtual' },
+  { type: 'PRACTICE', title: 'Practice' },
+  { type: 'OUT_OF_COMPETITION', title: 'Out of competition' }
+];
+
+// subs are the submissions in the time range, of every participant type
+function drawParticipation(subs) {
+  $('#participationTypes, #upsolveStats').empty();
+  if (subs.length === 0) {
+    $('#participationCon').addClass('hidden');
+    return;
+  }
+  var stats = getParticipationStats(subs, problemKey, contestList);
+
+  var $head = $('<tr class="mdl-color--teal-300">').append(
+    $('<th class="mdl-data-table__cell--non-numeric">').text('Submitted in')
+  );
+  var rows = [
+    { title: 'Submissions', key: 'submissions' },
+    { title: 'Accepted', key: 'accepted' },
+    { title: 'Problems solved', key: 'solved' }
+  ];
+  var $rows = rows.map(function (row) {
+    return $('<tr>').append(
+      $('<td class="mdl-data-table__cell--non-numeric">').text(row.title)
+    );
+  });
+  PARTICIPANT_TYPES.forEach(function (info) {
+    var stat = stats.types[info.type] || { submissions: 0, accepted: 0, solved: 0 };
+    $head.append($('<th>').text(info.title));
+    rows.forEach(function (row, i) {
+      $rows[i].append($('<td>').text(stat[row.key]));
+    });
+  });
+  $('#participationTypes')
+    .append($('<thead>').append($head))
+    .append($('<tbody>').append($rows));
+
+  var tried = stats.inContest + stats.upsolved + stats.notUpsolved;
+  [
+    ['Tried in contests', tried],
+    ['Solved during the contest', stats.inContest],
+    ['Upsolved later', stats.upsolved],
+    ['Not solved yet', stats.notUpsolved],
+    [
+      'Average time to upsolve after the contest',
+      stats.upsolved ? formatDuration(stats.upsolveTime) : '---'
+    ]
+  ].forEach(function (row) {
+    $('#upsolveStats').append(
+      $('<tr>')
+        .append($('<td class="mdl-data-table__cell--non-numeric">').text(row[0]))
+        .append($('<td>').text(row[1]))
+    );
+  });
+  $('#participationCon').removeClass('hidden');
+}
+
+// like 5 hours or 12.5 days
+function formatDuration(seconds) {
+  var hours = seconds / 3600;
+  if (hours < 48) return Math.round(hours) + ' hours';
+  return (hours / 24).toFixed(1) + ' days';
+}
@@ -0,0 +1,146 @@
+// Performance rating of a user in each of their rated contests, the rating that would be
+// expected to take the rank they took against that contest's field. See getPerformanceRating.
+// Needs every contest's rating changes, so it's only calculated when asked for.
+// The performances are stored, not the rating changes, those would take hundreds of MB.
+// Needs cf_api.js, cf_store.js, calculate.js and single.js
+
+var perfContests = []; // user.rating of the user, performance is added to each contest
+var perfStored = {}; // contestId -> performance, of the contests calculated before
+var perfReq = null;
+
+$(document).ready(function () {
+  $('#perfButton').click(function () {
+    $('#perfButton').prop('disabled', true);
+    // stored from version 2, the first places of the ones before were 7999
+    var key = 'performance2?' + handle.toLowerCase();
+    cfDbGet(key).done(function (stored) {
+      perfStored = stored ? stored.data : {};
+      calculatePerformance(key, 0);
+    });
+  });
+});
+
+// called with the result of user.rating when a new user is shown
+function showPerformanceCard(contests) {
+  stopPerformance();
+  perfContests = contests;
+  $('#perfButton').prop('disabled', false);
+  $('#perfStatus').text(
+    'The standings of each of the ' +
+      contests.length +
+      ' contests are downloaded, the first time only'
+  );
+  $('#perfCon').removeClass('hidden');
+}
+
+function stopPerformance() {
+  if (perfReq) perfReq.abort();
+  perfReq = null;
+}
+
+// the contests one after the other, the results are shown as they come
+function calculatePerformance(key, i) {
+  // the stored ones need no waiting
+  while (i < perfContests.length && perfContests[i].contestId in perfStored) {
+    perfContests[i].performance = perfStored[perfContests[i].contestId];
+    perfContests[i].ownRating = getOwnRating(i);
+    i++;
+  }
+  drawPerformance();
+  if (i >= perfContests.length) {
+    $('#perfStatus').text('');
+    return;
+  }
+
+  var con = perfContests[i];
+  // each is needed once and can be MBs, the cache would keep all of them
+  perfReq = cfApi('contest.ratingChanges', { contestId: con.contestId }, { cache: false })
+    .done(function (changes) {
+      var own = getOwnRating(i);
+      con.ownRating = own;
+      var field = changes.map(function (change) {
+        if (change.handle == con.handle) return own;
+        // only the first contest of a newcomer can be told, see vir.js
+        return change.oldRating === 0 ? NEWCOMER_RATING : change.oldRating;
+      });
+      con.performance = getPerformanceRating(field, own, con.rank);
+      perfStored[con.contestId] = con.performance;
+      cfDbPut(key, perfStored);
+
+      $('#perfStatus').text('Calculated ' + (i + 1) + ' of ' + perfContests.length);
+      calculatePerformance(key, i + 1);
+    })
+    .fail(function (err) {
+      if (err.type == CF_ERROR.ABORTED) return;
+      $('#perfStatus').text(cfErrorMessage(err));
+      $('#perfButton').prop('disabled', false);
+    });
+}
+
+// the rating the user was calculated with in their i-th contest, the hidden one of newcomers
+function getOwnRating(i) {
+  // accounts made since newcomers got a hidden rating start from a displayed 0
+  var newcomerRules = perfContests[0].oldRating === 0;
+  var con = perfContests[i];
+  return newcomerRules ? getHiddenRating(con.oldRating, i) : con.oldRating;
+}
+
+function drawPerformance() {
+  if (typeof google.visualization === 'undefined') {
+    google.charts.setOnLoadCallback(drawPerformance);
+    return;
+  }
+  var data = new google.visualization.DataTable();
+  data.addColumn('date', 'Date');
+  data.addColumn('number', 'Rating');
+  data.addColumn('number', 'Performance');
+  perfContests.forEach(function (con) {
+    data.addRow([
+      new Date(con.ratingUpdateTimeSeconds * 1000),
+      con.newRating,
+      con.performance === undefined ? null : con.performance
+    ]);
+  });
+  var options = {
+    height: 400,
+    title: 'Rating and performance of ' + handle,
+    legend: { position: 'top' },
+    fontName: 'Roboto',
+    titleTextStyle: titleTextStyle,
+    pointSize: 3,
+    colors: ['#3F51B5', '#FF9800']
+  };
+  var chart = new google.visualization.LineChart(document.getElementById('perfChart'));
+  chart.draw(data, options);
+
+  var done = perfContests.filter(function (con) {
+    return con.performance !== undefined;
+  });
+  done.sort(function (a, b) {
+    return b.performance - a.performance;
+  });
+  fillPerformanceTable('#perfBest', done.slice(0, 5));
+  fillPerformanceTable('#perfWorst', done.slice(-5).reverse());
+}
+
+function fillPerformanceTable(table, contests) {
+  $(table + ' tbody').empty();
+  contests.forEach(function (con) {
+    // both on the scale of the hidden rating
+    var diff = con.performance - con.ownRating;
+    $(table + ' tbody').append(
+      $('<tr>')
+        .append(
+          $('<td class="mdl-data-table__cell--non-numeric">').append(
+            $('<a target="_blank">')
+              .attr('href', 'https://codeforces.com/contest/' + con.contestId)
+              .text(con.contestName)
+          )
+        )
+        .append($('<td>').text(con.rank))
+        .append(
+          $('<td>').text(con.performance + ' (' + (diff > 0 ? '+' : '') + diff + ')')
+        )
+    );
+  });
+}
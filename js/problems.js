@@ -0,0 +1,29 @@
+// Resolves the identity of problems. Div 1 and div 2 rounds held in parallel share problems,
+// a problem solved in one of them must not be counted twice.
+// Two problems are the same if they have the same name and rating and their contests
+// started at the same time. So parallel rounds are caught no matter how far apart their ids are.
+
+// contests is the result of contest.list, it can be empty if we couldn't get it.
+// returns a function that gives a key for a problem (the `problem` object of a submission),
+// all the copies of the same problem get the same key
+function getProblemResolver(contests) {
+  var startTimes = {};
+  contests.forEach(function (con) {
+    if (con.startTimeSeconds !== undefined) startTimes[con.id] = con.startTimeSeconds;
+  });
+
+  return function (problem) {
+    var contest = problem.contestId || problem.problemsetName;
+    // gym contests and new contests missing in the list can't be matched by time
+    var group =
+      startTimes[contest] !== undefined
+        ? 'time' + startTimes[contest]
+        : 'contest' + contest;
+    return group + '-' + problem.name + '-' + (problem.rating || 0);
+  };
+}
+
+// lets the module be loaded in node too, to test it with recorded api responses
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getProblemResolver: getProblemResolver };
+}
@@ -0,0 +1,118 @@
+// Rating history chart of the single user page, over the bands of the rank titles.
+// The peak rating and the first time reaching each title are marked.
+// Needs titles.js and single.js
+
+// contests is the result of user.rating
+function drawRatingHistory(contests) {
+  if (typeof google.visualization === 'undefined') {
+    google.charts.setOnLoadCallback(function () {
+      drawRatingHistory(contests);
+    });
+    return;
+  }
+  if (contests.length === 0) return;
+
+  var min = Infinity;
+  var max = -Infinity;
+  var peak = contests[0];
+  contests.forEach(function (con) {
+    min = Math.min(min, con.newRating);
+    max = Math.max(max, con.newRating);
+    if (con.newRating > peak.newRating) peak = con;
+  });
+  var top = Math.max(max + 100, RANK_TITLES[RANK_TITLES.length - 1].rating + 100);
+
+  var data = new google.visualization.DataTable();
+  data.addColumn('date', 'Date');
+  // the bands are stacked areas, each as high as its title's range of ratings
+  RANK_TITLES.forEach(function (title) {
+    data.addColumn('number', title.title);
+  });
+  data.addColumn('number', 'Rating');
+  data.addColumn({ type: 'string', role: 'tooltip', p: { html: true } });
+  data.addColumn({ type: 'string', role: 'annotation' });
+
+  var reached = {}; // titles reached so far
+  contests.forEach(function (con) {
+    var row = [new Date(con.ratingUpdateTimeSeconds * 1000)];
+    RANK_TITLES.forEach(function (title, i) {
+      var next = i + 1 < RANK_TITLES.length ? RANK_TITLES[i + 1].rating : top;
+      row.push(next - title.rating);
+    });
+
+    var marks = [];
+    var title = getRankTitle(con.newRating);
+    if (title.rating > 0 && !reached[title.title]) marks.push(title.title);
+    reached[title.title] = true;
+    if (con === peak) marks.push('Peak ' + con.newRating);
+
+    row.push(
+      con.newRating,
+      getRatingTooltip(con),
+      marks.length ? marks.join(', ') : null
+    );
+    data.addRow(row);
+  });
+
+  var series = {};
+  RANK_TITLES.forEach(function (title, i) {
+    series[i] = {
+      type: 'area',
+      color: title.color,
+      areaOpacity: 0.4,
+      lineWidth: 0,
+      enableInteractivity: false,
+      visibleInLegend: false
+    };
+  });
+  series[RANK_TITLES.length] = { type: 'line', color: '#3F51B5', pointSize: 4 };
+
+  $('#ratingHistoryCon').removeClass('hidden');
+  var options = {
+    height: 400,
+    title: 'Rating history of ' + handle,
+    legend: 'none',
+    fontName: 'Roboto',
+    titleTextStyle: titleTextStyle,
+    isStacked: true,
+    series: series,
+    tooltip: { isHtml: true },
+    annotations: { style: 'point', textStyle: { fontSize: 11, color: '#393939' } },
+    hAxis: { format: 'MMM yyyy' },
+    vAxis: {
+      viewWindow: { min: Math.max(0, Math.floor((min - 200) / 100) * 100), max: top },
+      gridlines: { color: 'transparent' }
+    },
+    // drag to zoom into a time range, right click to go back
+    explorer: {
+      actions: ['dragToZoom', 'rightClickToReset'],
+      axis: 'horizontal',
+      keepInBounds: true,
+      maxZoomIn: 0.02
+    }
+  };
+  var chart = new google.visualization.ComboChart(
+    document.getElementById('ratingHistory')
+  );
+  chart.draw(data, options);
+}
+
+function getRatingTooltip(con) {
+  var delta = con.newRating - con.oldRating;
+  return (
+    '<div class="rating-tooltip"><b>' +
+    $('<div>').text(con.contestName).html() +
+    '</b><br>' +
+    new Date(con.ratingUpdateTimeSeconds * 1000).toLocaleDateString() +
+    '<br>Rank: ' +
+    con.rank +
+    '<br>Rating: ' +
+    con.newRating +
+    ' (' +
+    (delta > 0 ? '+' : '') +
+    delta +
+    ')<br>' +
+    getRankTitle(con.newRating).title +
+    '</div>'
+  );
+}
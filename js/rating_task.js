@@ -0,0 +1,77 @@
+// Runs CalculateRatingChanges and CalculateSweep in web workers (rating_worker.js).
+// Calculations are named, like 'virtual' and 'live'. Only one calculation of a name runs
+// at a time, starting a new one cancels the one in progress.
+// Needs calculate.js, for browsers without workers, and cf_api.js for the error types
+
+var ratingWorkers = {}; // name -> { worker, task }, task being the deferred in progress
+
+// takes the same arguments as CalculateRatingChanges, after the name,
+// and returns a promise of its results. progress is notified with (done, total)
+// the promise is rejected with { type, comment } like cfApi's, type ABORTED if cancelled
+function calculateInWorker(name, previousRatings, standingsRows, userId, contestCounts) {
+  var message = {
+    type: 'changes',
+    ratings: previousRatings,
+    places: standingsRows,
+    handles: userId,
+    contestCounts: contestCounts
+  };
+  return runInWorker(name, message, function () {
+    return CalculateRatingChanges(previousRatings, standingsRows, userId, contestCounts);
+  });
+}
+
+// runs CalculateSweep with the task, like calculateInWorker
+function sweepInWorker(name, task) {
+  return runInWorker(name, $.extend({ type: 'sweep' }, task), function () {
+    return CalculateSweep(task);
+  });
+}
+
+// sends the message to the worker of that name, or calls fallback without workers
+function runInWorker(name, message, fallback) {
+  cancelCalculation(name);
+  var d = $.Deferred();
+
+  if (typeof Worker === 'undefined') {
+    // let the page show that we started before freezing it
+    setTimeout(function () {
+      if (d.state() != 'pending') return;
+      d.resolve(fallback());
+    }, 10);
+    return d.promise();
+  }
+
+  var slot = ratingWorkers[name];
+  if (slot === undefined) {
+    slot = ratingWorkers[name] = {
+      worker: new Worker('js/rating_worker.js'),
+      task: null
+    };
+  }
+  slot.task = d;
+  slot.worker.onmessage = function (e) {
+    if (e.data.type == 'progress') {
+      d.notify(e.data.done, e.data.total);
+    } else {
+      slot.task = null;
+      d.resolve(e.data.results);
+    }
+  };
+  slot.worker.onerror = function (e) {
+    slot.task = null;
+    d.reject({ type: CF_ERROR.FAILED, comment: e.message });
+  };
+  slot.worker.postMessage(message);
+  return d.promise();
+}
+
+// stops the calculation of that name in progress, if there is one
+function cancelCalculation(name) {
+  var slot = ratingWorkers[name];
+  if (slot === undefined || slot.task === null) return;
+  // the calculation can't be interrupted in the middle, the worker has to go
+  slot.worker.terminate();
+  delete ratingWorkers[name];
+  slot.task.reject({ type: CF_ERROR.ABORTED, comment: 'Calculation cancelled' });
+}
@@ -0,0 +1,25 @@
+// Web worker running the rating calculation, so that the page keeps responding.
+// Started by calculateInWorker and sweepInWorker in rating_task.js
+
+importScripts('calculate.js');
+
+onmessage = function (e) {
+  var task = e.data;
+  var onProgress = function (done, total) {
+    postMessage({ type: 'progress', done: done, total: total });
+  };
+
+  var results;
+  if (task.type == 'sweep') {
+    results = CalculateSweep(task, onProgress);
+  } else {
+    results = CalculateRatingChanges(
+      task.ratings,
+      task.places,
+      task.handles,
+      task.contestCounts,
+      onProgress
+    );
+  }
+  postMessage({ type: 'result', results: results });
+};
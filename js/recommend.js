@@ -0,0 +1,180 @@
+// Suggests problems to solve next: problems the user hasn't tried, a bit above their rating,
+// in the tags they are weak at. A tag is weak if the user solved a smaller share of problems
+// of it than the problemset has around their rating, or fails it more than the other tags.
+// Needs cf_api.js, cf_store.js, analysis.js and single.js
+
+var RECOMMEND_RANGE = 300; // problems from the rating to this much above it
+var RECOMMEND_TAGS = 5; // the weakest tags are suggested from
+var RECOMMEND_COUNT = 10; // problems suggested at a time
+var RECOMMEND_MIN_SHARE = 0.02; // rarer tags are not worth practicing
+
+var recommended = []; // the problems that can be suggested, in random order
+var recommendFrom = 0; // first of the suggestions shown
+var recommendReqs = [];
+
+$(document).ready(function () {
+  $('#recommendButton').click(function () {
+    if (recommended.length) showRecommendations(recommendFrom + RECOMMEND_COUNT);
+    else loadRecommendations();
+  });
+});
+
+// called when the submissions of a new user are analyzed
+function showRecommendCard() {
+  stopRecommend();
+  recommended = [];
+  $('#recommendButton').prop('disabled', false).text('Suggest problems');
+  $('#recommendStatus').text('');
+  $('#recommendCon').removeClass('hidden');
+}
+
+function stopRecommend() {
+  recommendReqs.forEach(function (req) {
+    req.abort();
+  });
+  recommendReqs = [];
+}
+
+function loadRecommendations() {
+  $('#recommendButton').prop('disabled', true);
+  $('#recommendStatus').text('Downloading the problemset...');
+  // user.rating is in the api client's cache already
+  recommendReqs = [getProblemset(), cfApi('user.rating', { handle: handle })];
+  $.when(
+    recommendReqs[0],
+    recommendReqs[1].then(null, function (err) {
+      if (err.type == CF_ERROR.ABORTED) return $.Deferred().reject(err);
+      return []; // suggested as unrated then
+    })
+  )
+    .done(function (problemset, contests) {
+      var rating = contests.length ? contests[contests.length - 1].newRating : 0;
+      // all the submissions, not only the ones in the time range
+      var sub = analyzeSubmissions(submissions, problemKey);
+      var result = getRecommendations(sub, problemset, problemKey, rating);
+      $('#recommendWeak').text(
+        result.weakTags.length ? 'Weak tags: ' + result.weakTags.join(', ') : ''
+      );
+      recommended = result.problems;
+      $('#recommendButton').prop('disabled', false).text('More suggestions');
+      showRecommendations(0);
+    })
+    .fail(function (err) {
+      if (err.type == CF_ERROR.ABORTED) return;
+      $('#recommendStatus').text(cfErrorMessage(err));
+      $('#recommendButton').prop('disabled', false);
+    });
+}
+
+// shows RECOMMEND_COUNT suggestions from `from`, back from the first after the last
+function showRecommendations(from) {
+  recommendFrom = from < recommended.length ? from : 0;
+  $('#recommendList').empty();
+  if (recommended.length === 0) {
+    $('#recommendStatus').text(
+      'Nothing to suggest, every problem around the rating is tried'
+    );
+    return;
+  }
+  $('#recommendStatus').text(
+    recommended.length + ' problems to suggest, ' + RECOMMEND_COUNT + ' at a time'
+  );
+  recommended.slice(recommendFrom, recommendFrom + RECOMMEND_COUNT).forEach(function (p) {
+    $('#recommendList').append(
+      $('<tr>')
+        .append(
+          $('<td class="mdl-data-table__cell--non-numeric">').append(
+            $('<a class="lnk" target="_blank">')
+              .attr('href', get_url(p.contestId + '-' + p.index))
+              .text(p.contestId + p.index + '. ' + p.name)
+          )
+        )
+        .append($('<td>').text(p.rating))
+        .append(
+          $('<td class="mdl-data-table__cell--non-numeric">').text(p.tags.join(', '))
+        )
+        .append($('<td>').text(p.solvedCount))
+    );
+  });
+}
+
+// the weakest tags of the user, and the untried problems of those tags in the rating range
+// sub is from analyzeSubmissions, problemset the result of problemset.problems,
+// problemKey the one the submissions were analyzed with
+function getRecommendations(sub, problemset, problemKey, rating) {
+  var from = Math.max(800, Math.floor(rating / 100) * 100);
+  var to = from + RECOMMEND_RANGE;
+
+  var solvedCounts = {};
+  problemset.problemStatistics.forEach(function (stat) {
+    solvedCounts[stat.contestId + stat.index] = stat.solvedCount;
+  });
+  var band = problemset.problems.filter(function (p) {
+    return p.rating >= from && p.rating <= to;
+  });
+
+  // how many of the problems around the rating have each tag
+  var bandTags = {};
+  band.forEach(function (p) {
+    p.tags.forEach(function (t) {
+      bandTags[t] = (bandTags[t] || 0) + 1;
+    });
+  });
+
+  // how many problems of each tag the user tried and solved
+  var tried = {};
+  var solved = {};
+  for (var id in sub.problems) {
+    sub.problems[id].tags.forEach(function (t) {
+      tried[t] = (tried[t] || 0) + 1;
+      if (sub.problems[id].solved > 0) solved[t] = (solved[t] || 0) + 1;
+    });
+  }
+  var solveRate = sub.tried ? sub.solved / sub.tried : 0;
+
+  // the lower the weaker, 1 is as good as expected
+  var scores = [];
+  for (var t in bandTags) {
+    var share = bandTags[t] / band.length;
+    if (share < RECOMMEND_MIN_SHARE || t == '*special') continue;
+    var shareScore = sub.solved ? (solved[t] || 0) / sub.solved / share : 0;
+    var rateScore = tried[t] && solveRate ? (solved[t] || 0) / tried[t] / solveRate : 0;
+    var score = Math.min(shareScore, rateScore);
+    if (score < 1) scores.push({ tag: t, score: score });
+  }
+  scores.sort(function (a, b) {
+    return a.score - b.score;
+  });
+  var weakTags = scores.slice(0, RECOMMEND_TAGS).map(function (s) {
+    return s.tag;
+  });
+
+  var problems = [];
+  band.forEach(function (p) {
+    if (sub.problems[problemKey(p)] !== undefined) return;
+    var weak = p.tags.some(function (t) {
+      return weakTags.indexOf(t) != -1;
+    });
+    if (!weak) return;
+    problems.push({
+      contestId: p.contestId,
+      index: p.index,
+      name: p.name,
+      rating: p.rating,
+      tags: p.tags,
+      solvedCount: solvedCounts[p.contestId + p.index] || 0
+    });
+  });
+  shuffle(problems);
+
+  return { weakTags: weakTags, problems: problems };
+}
+
+function shuffle(arr) {
+  for (var i = arr.length - 1; i > 0; i--) {
+    var j = Math.floor(Math.random() * (i + 1));
+    var tmp = arr[i];
+    arr[i] = arr[j];
+    arr[j] = tmp;
+  }
+}
@@ -1,18 +1,16 @@
-var api_url = 'https://codeforces.com/api/';
 var handle = '';
 
-var verdicts = {};
-var langs = {};
-var tags = {};
-var levels = {};
-var ratings = {};
-var problems = {};
-var totalSub = 0;
+var submissions = []; // result of user.status, the charts are of the ones in the time range
+var contestList = []; // result of contest.list, for the ranges since a contest
+var subData = {}; // statistics of the submissions in the time range, see analyzeSubmissions
+var problemKey = null; // the problems were analyzed with it, see getProblemResolver
 var heatmap = {};
 var heatmapData = {};
-var years = 0;
 
-var req1, req2;
+var req1, req2, req3;
+var unsolvedTable = null;
+
+var DAY = 24 * 60 * 60; // in seconds, like the times of the api
 
 var titleTextStyle = {
   fontSize: 18,
@@ -23,6 +21,22 @@ var titleTextStyle = {
 google.charts.load('current', { packages: ['corechart', 'calendar'] });
 
 $(document).ready(function () {
+  unsolvedTable = createSortableTable(
+    '#unsolvedList',
+    [
+      { key: 'name', title: 'Problem', format: formatUnsolvedProblem },
+      { key: 'rating', title: 'Rating', numeric: true },
+      { key: 'tags', title: 'Tags' },
+      { key: 'attempts', title: 'Attempts', numeric: true },
+      { key: 'lastVerdict', title: 'Last verdict', format: formatVerdict },
+      { key: 'lastTime', title: 'Last attempt', numeric: true, format: formatTime }
+    ],
+    { sortKey: 'lastTime', sortAsc: false, pageSize: 20, onClick: openLastFail }
+  );
+  $('#unsolvedSearch').on('input', function () {
+    unsolvedTable.setFilter(filterUnsolved);
+  });
+
   // When the handle form is submitted, this function is called...
   $('#handleform').submit(function (e) {
     e.preventDefault();
@@ -38,120 +52,35 @@ $(document).ready(function () {
     }
 
     // getting all the submissions of a user
-    req1 = $.get(api_url + 'user.status', { handle: handle }, function (data, status) {
-     
-      $('.sharethis').removeClass('hidden');
-
-      if (data.result.length < 1) {
-        err_message('handleDiv', 'No submissions');
-        return;
-      }
-
-      // parsing all the submission and saving useful data. Don't remember why from the back
-      for (var i = data.result.length - 1; i >= 0; i--) {
-        var sub = data.result[i];
-
-        // creating unique key for problem {contestID + problem name + problem rating}
-        var rating;
-        if (sub.problem.rating === undefined) {
-          rating = 0;
-        } else {
-          rating = sub.problem.rating;
-        }
-
-        var problemId = sub.problem.contestId + '-' + sub.problem.name + '-' + rating;
-
-        // previous id for removing duplicates
-        var problemIdprev =
-          sub.problem.contestId - 1 + '-' + sub.problem.name + '-' + rating;
-
-        // next id for removing duplicates
-        var problemIdnext =
-          sub.problem.contestId + 1 + '-' + sub.problem.name + '-' + rating;
-
-        // checking if problem previously visited
-        if (problems[problemIdprev] !== undefined) {
-          if (problems[problemIdprev].solved === 0) {
-            problems[problemIdprev].attempts++;
-          }
-          problemId = problemIdprev;
-        } else if (problems[problemIdnext] !== undefined) {
-          if (problems[problemIdnext].solved === 0) {
-            problems[problemIdnext].attempts++;
-          }
-          problemId = problemIdnext;
-        } else if (problems[problemId] !== undefined) {
-          if (problems[problemId].solved === 0) {
-            problems[problemId].attempts++;
-          }
-        } else {
-          problems[problemId] = {
-            problemlink: sub.contestId + '-' + sub.problem.index, // link of problem
-            attempts: 1,
-            solved: 0 // We also want to save how many submission got AC, a better name would have been number_of_ac
-          };
-        }
-
-        if (sub.verdict == 'OK') {
-          problems[problemId].solved++;
-        }
+    req1 = getUserStatus(handle);
+    // the contest list is needed to merge problems of parallel div 1 and div 2 rounds,
+    // if we can't get it we'll go on without merging
+    req3 = getContestList();
+
+    $.when(
+      req1,
+      req3.then(null, function () {
+        return [];
+      })
+    )
+      .done(function (result, contests) {
+        $('.sharethis').removeClass('hidden');
 
-        // modifying level, rating, and tag counter on first AC.
-        if (problems[problemId].solved === 1 && sub.verdict == 'OK') {
-          sub.problem.tags.forEach(function (t) {
-            if (tags[t] === undefined) tags[t] = 1;
-            else tags[t]++;
-          });
-
-          if (levels[sub.problem.index[0]] === undefined)
-            levels[sub.problem.index[0]] = 1;
-          else levels[sub.problem.index[0]]++;
-
-          if (sub.problem.rating) {
-            if (ratings[sub.problem.rating] === undefined) {
-              ratings[sub.problem.rating] = 1;
-            } else {
-              ratings[sub.problem.rating]++;
-            }
-          }
+        if (result.length < 1) {
+          err_message('handleDiv', 'No submissions');
+          return;
         }
 
-        // changing counter of verdict submission
-        if (verdicts[sub.verdict] === undefined) verdicts[sub.verdict] = 1;
-        else verdicts[sub.verdict]++;
-
-        // changing counter of launguage submission
-        if (langs[sub.programmingLanguage] === undefined)
-          langs[sub.programmingLanguage] = 1;
-        else langs[sub.programmingLanguage]++;
-
-        //updating the heatmap
-        var date = new Date(sub.creationTimeSeconds * 1000); // submission date
-        date.setHours(0, 0, 0, 0);
-        if (heatmap[date.valueOf()] === undefined) heatmap[date.valueOf()] = 1;
-        else heatmap[date.valueOf()]++;
-        totalSub = data.result.length;
-
-        // how many years are there between first and last submission
-        years =
-          new Date(data.result[0].creationTimeSeconds * 1000).getYear() -
-          new Date(
-            data.result[data.result.length - 1].creationTimeSeconds * 1000
-          ).getYear();
-        years = Math.abs(years) + 1;
-      }
-
-      // finally draw the charts if google charts is already loaded,
-      // if not set load callback to draw the charts
-      if (typeof google.visualization === 'undefined') {
-        google.charts.setOnLoadCallback(drawCharts);
-      } else {
-        drawCharts();
-      }
-    })
-      .fail(function (xhr, status) {
-        //console.log(xhr.status);
-        if (status != 'abort') err_message('handleDiv', "Couldn't find user");
+        submissions = result;
+        contestList = contests;
+        problemKey = getProblemResolver(contests);
+        $('#rangeCon').removeClass('hidden');
+        showRecommendCard();
+        showUpsolveCard();
+        drawRange();
+      })
+      .fail(function (err) {
+        if (err.type != CF_ERROR.ABORTED) err_message('handleDiv', cfErrorMessage(err));
       })
       .always(function () {
         $('#mainSpinner').removeClass('is-active');
@@ -159,9 +88,8 @@ $(document).ready(function () {
       });
 
     // With this request we get all the rating changes of the user
-    req2 = $.get(api_url + 'user.rating', { handle: handle }, function (data, status) {
-      
-      if (data.result.length < 1) {
+    req2 = cfApi('user.rating', { handle: handle }).done(function (result) {
+      if (result.length < 1) {
         err_message('handleDiv', 'No contests');
         return;
       }
@@ -173,9 +101,9 @@ $(document).ready(function () {
       var worstCon = '';
       var maxUpCon = '';
       var maxDownCon = '';
-      var tot = data.result.length;
+      var tot = result.length;
 
-      data.result.forEach(function (con) {
+      result.forEach(function (con) {
         // con is a contest
         if (con.rank < best) {
           best = con.rank;
@@ -239,25 +167,43 @@ $(document).ready(function () {
               ') </a>'
           : '---'
       );
+
+      drawRatingHistory(result);
+      showPerformanceCard(result);
     });
   });
 
   // If there is a handle parameter in the url, we'll put it in the form
   // and automatically submit it to trigger the submit function, useful for sharing results
   handle = getParameterByName('handle');
+  setRange(getParameterByName('range'));
+  var type = getParameterByName('type');
+  if (type) $('#participantSelect').val(type.toUpperCase());
+  if (!$('#participantSelect').val()) $('#participantSelect').val('all');
   if (handle !== null) {
     $('#handle').val(handle);
     $('#handleform').submit();
   }
   $('#handleDiv').removeClass('hidden');
 
+  // the charts are drawn again from the same submissions when the range changes
+  $('#rangeSelect').change(function () {
+    var range = $('#rangeSelect').val();
+    $('#rangeCustom').toggleClass('hidden', range != 'custom');
+    $('#rangeContest').toggleClass('hidden', range != 'contest');
+    if (submissions.length) drawRange();
+  });
+  $('#rangeFrom, #rangeTo, #rangeContest, #participantSelect').change(function () {
+    if (submissions.length) drawRange();
+  });
+
   // this is to update the heatmap when the form is submitted, contributed
   $('#heatmapCon input').keypress(function (e) {
     var value = $(this).val();
     //Enter pressed
     if (e.which == 13 && value >= 0 && value <= 999) {
       var heatmapOptions = {
-        height: years * 140 + 30,
+        height: subData.years * 140 + 30,
         width: Math.max($('#heatmapCon').width(), 900),
         fontName: 'Roboto',
         titleTextStyle: titleTextStyle,
@@ -275,12 +221,118 @@ $(document).ready(function () {
   });
 });
 
+// analyzes the submissions in the chosen time range, of the chosen participant type,
+// and draws their charts
+function drawRange() {
+  var range = getRange();
+  if (window.history.replaceState) window.history.replaceState(null, '', getShareQuery());
+  $('#rangeStatus').text(range.error || '');
+  if (range.error) return;
+
+  var inRange = submissions.filter(function (sub) {
+    return sub.creationTimeSeconds >= range.from && sub.creationTimeSeconds < range.to;
+  });
+  drawParticipation(inRange);
+  var type = $('#participantSelect').val();
+  var subs = inRange.filter(function (sub) {
+    return type == 'all' || sub.author.participantType == type;
+  });
+  if (subs.length === 0) {
+    $('.submission-card').addClass('hidden');
+    $('#rangeStatus').text('No submissions in this range');
+    return;
+  }
+  $('#rangeStatus').text(
+    subs.length < submissions.length
+      ? subs.length + ' of ' + submissions.length + ' submissions'
+      : ''
+  );
+  subData = analyzeSubmissions(subs, problemKey);
+
+  // finally draw the charts if google charts is already loaded,
+  // if not set load callback to draw the charts
+  if (typeof google.visualization === 'undefined') {
+    google.charts.setOnLoadCallback(drawCharts);
+  } else {
+    drawCharts();
+  }
+}
+
+// the query of the url of the result, with the time range and the participant type
+function getShareQuery() {
+  var query = '?handle=' + encodeURIComponent(handle);
+  var range = getRangeParam();
+  if (range) query += '&range=' + range;
+  var type = $('#participantSelect').val();
+  if (type != 'all') query += '&type=' + type.toLowerCase();
+  return query;
+}
+
+// the chosen time range, { from, to } in seconds, or { error } if it can't be told
+function getRange() {
+  var now = Date.now() / 1000;
+  var range = $('#rangeSelect').val();
+  if (range == '30d') return { from: now - 30 * DAY, to: Infinity };
+  if (range == '1y') return { from: now - 365 * DAY, to: Infinity };
+  if (range == 'custom') {
+    // the dates are local, the last day is included
+    var from = $('#rangeFrom').val();
+    var to = $('#rangeTo').val();
+    return {
+      from: from ? new Date(from + 'T00:00').getTime() / 1000 : 0,
+      to: to ? new Date(to + 'T00:00').getTime() / 1000 + DAY : Infinity
+    };
+  }
+  if (range == 'contest') {
+    var id = parseInt($('#rangeContest').val());
+    if (isNaN(id)) return { error: 'Enter a contest id' };
+    for (var i = 0; i < contestList.length; i++) {
+      if (contestList[i].id == id) {
+        return { from: contestList[i].startTimeSeconds, to: Infinity };
+      }
+    }
+    return { error: 'Contest ' + id + ' not found' };
+  }
+  return { from: 0, to: Infinity };
+}
+
+// the range in the url, like 30d, 1y, 2020-01-31..2020-06-30 or c1234. null for all time
+function getRangeParam() {
+  var range = $('#rangeSelect').val();
+  if (range == 'custom') return $('#rangeFrom').val() + '..' + $('#rangeTo').val();
+  if (range == 'contest') return 'c' + $('#rangeContest').val();
+  if (range == 'all') return null;
+  return range;
+}
+
+// sets the range controls from the url parameter, see getRangeParam
+function setRange(param) {
+  var range = 'all';
+  if (param == '30d' || param == '1y') {
+    range = param;
+  } else if (param && param.indexOf('..') != -1) {
+    range = 'custom';
+    $('#rangeFrom').val(param.split('..')[0]);
+    $('#rangeTo').val(param.split('..')[1]);
+  } else if (param && param[0] == 'c') {
+    range = 'contest';
+    $('#rangeContest').val(param.slice(1));
+  }
+  $('#rangeSelect').val(range);
+  $('#rangeCustom').toggleClass('hidden', range != 'custom');
+  $('#rangeContest').toggleClass('hidden', range != 'contest');
+}
+
 function drawCharts() {
+  // the charts of the previous range might not be drawn again
+  $('#levels, #ratings').empty();
+
   //Plotting the verdicts chart
   $('#verdicts').removeClass('hidden');
   var verTable = [['Verdict', 'Count']];
   var verSliceColors = [];
   // beautiful names for the verdicts + colors
+  var verdicts = subData.verdicts;
   for (var ver in verdicts) {
     if (ver == 'OK') {
       verTable.push(['AC', verdicts[ver]]);
@@ -311,7 +363,7 @@ function drawCharts() {
       verSliceColors.push({});
     }
   }
-  verdicts = new google.visualization.arrayToDataTable(verTable);
+  var verData = new google.visualization.arrayToDataTable(verTable);
   var verOptions = {
     height: $('#verdicts').width(),
     title: 'Verdicts of ' + handle,
@@ -323,7 +375,7 @@ function drawCharts() {
     is3D: true
   };
   var verChart = new google.visualization.PieChart(document.getElementById('verdicts'));
-  verChart.draw(verdicts, verOptions);
+  verChart.draw(verData, verOptions);
 
   //Plotting the languages chart
   var colors = [
@@ -353,10 +405,10 @@ function drawCharts() {
 
   $('#langs').removeClass('hidden');
   var langTable = [['Language', 'Count']];
-  for (var lang in langs) {
-    langTable.push([lang, langs[lang]]);
+  for (var lang in subData.langs) {
+    langTable.push([lang, subData.langs[lang]]);
   }
-  langs = new google.visualization.arrayToDataTable(langTable);
+  var langs = new google.visualization.arrayToDataTable(langTable);
   var langOptions = {
     height: $('#langs').width(),
     title: 'Languages of ' + handle,
@@ -373,13 +425,13 @@ function drawCharts() {
   //the tags chart
   $('#tags').removeClass('hidden');
   var tagTable = [];
-  for (var tag in tags) {
-    tagTable.push([tag + ': ' + tags[tag], tags[tag]]);
+  for (var tag in subData.tags) {
+    tagTable.push([tag + ': ' + subData.tags[tag], subData.tags[tag]]);
   }
   tagTable.sort(function (a, b) {
     return b[1] - a[1];
   });
-  tags = new google.visualization.DataTable();
+  var tags = new google.visualization.DataTable();
   tags.addColumn('string', 'Tag');
   tags.addColumn('number', 'solved');
   tags.addRows(tagTable);
@@ -411,14 +463,14 @@ function drawCharts() {
   //Plotting levels
   $('#levels').removeClass('hidden');
   var levelTable = [];
-  for (var level in levels) {
-    levelTable.push([level, levels[level]]);
+  for (var level in subData.levels) {
+    levelTable.push([level, subData.levels[level]]);
   }
   levelTable.sort(function (a, b) {
     if (a[0] > b[0]) return -1;
     else return 1;
   });
-  levels = new google.visualization.DataTable();
+  var levels = new google.visualization.DataTable();
   levels.addColumn('string', 'Level');
   levels.addColumn('number', 'solved');
   levels.addRows(levelTable);
@@ -440,14 +492,14 @@ function drawCharts() {
   //Plotting ratings
   $('#ratings').removeClass('hidden');
   var ratingTable = [];
-  for (var rating in ratings) {
-    ratingTable.push([rating, ratings[rating]]);
+  for (var rating in subData.ratings) {
+    ratingTable.push([rating, subData.ratings[rating]]);
   }
   ratingTable.sort(function (a, b) {
     if (parseInt(a[0]) > parseInt(b[0])) return -1;
     else return 1;
   });
-  ratings = new google.visualization.DataTable();
+  var ratings = new google.visualization.DataTable();
   ratings.addColumn('string', 'Rating');
   ratings.addColumn('number', 'solved');
   ratings.addRows(ratingTable);
@@ -470,8 +522,8 @@ function drawCharts() {
   $('#heatmapCon').removeClass('hidden');
   $('#heatMapHandle').html(handle);
   var heatmapTable = [];
-  for (var d in heatmap) {
-    heatmapTable.push([new Date(parseInt(d)), heatmap[d]]);
+  for (var d in subData.heatmap) {
+    heatmapTable.push([new Date(parseInt(d)), subData.heatmap[d]]);
   }
   heatmapData = new google.visualization.DataTable();
   heatmapData.addColumn({ type: 'date', id: 'Date' });
@@ -480,7 +532,7 @@ function drawCharts() {
 
   heatmap = new google.visualization.Calendar(document.getElementById('heatmapDiv'));
   var heatmapOptions = {
-    height: years * 140 + 30,
+    height: subData.years * 140 + 30,
     width: Math.max($('#heatmapCon').width(), 900),
     fontName: 'Roboto',
     titleTextStyle: titleTextStyle,
@@ -494,84 +546,114 @@ function drawCharts() {
   };
   heatmap.draw(heatmapData, heatmapOptions);
 
-  //parse all the solved problems and extract some numbers about the solved problems
-  var tried = 0;
-  var solved = 0;
-  var maxAttempt = 0;
-  var maxAttemptProblem = '';
-  var maxAc = '';
-  var maxAcProblem = '';
-  var unsolved = [];
-  var solvedWithOneSub = 0;
-  for (var p in problems) {
-    tried++;
-    if (problems[p].solved > 0) solved++;
-    if (problems[p].solved === 0) unsolved.push(problems[p].problemlink);
-
-    if (problems[p].attempts > maxAttempt) {
-      maxAttempt = problems[p].attempts;
-      maxAttemptProblem = problems[p].problemlink;
-    }
-    if (problems[p].solved > maxAc) {
-      maxAc = problems[p].solved;
-      maxAcProblem = problems[p].problemlink;
-    }
-
-    if (problems[p].solved > 0 && problems[p].attempts == 1) solvedWithOneSub++;
-  }
-
+  // some numbers about the tried problems
   $('#numbers').removeClass('hidden');
   $('#unsolvedCon').removeClass('hidden');
   $('.handle-text').html(handle);
-  $('#tried').html(tried);
-  $('#solved').html(solved);
+  $('#tried').html(subData.tried);
+  $('#solved').html(subData.solved);
   $('#maxAttempt').html(
-    maxAttempt +
+    subData.maxAttempt +
       '<a href="' +
-      get_url(maxAttemptProblem) +
+      get_url(subData.maxAttemptProblem) +
       '" target="blank" > (' +
-      maxAttemptProblem +
+      subData.maxAttemptProblem +
       ') </a>'
   );
-  if (maxAc > 1)
+  if (subData.maxAc > 1)
     $('#maxAc').html(
-      maxAc +
+      subData.maxAc +
         '<a href="' +
-        get_url(maxAcProblem) +
+        get_url(subData.maxAcProblem) +
         '" target="blank" > (' +
-        maxAcProblem +
+        subData.maxAcProblem +
         ') </a>'
     );
-  else $('#maxAc').html(solved ? 1 : 0);
-  $('#averageAttempt').html((totalSub / solved).toFixed(2));
+  else $('#maxAc').html(subData.solved ? 1 : 0);
+  $('#averageAttempt').html(subData.averageAttempt.toFixed(2));
   $('#solvedWithOneSub').html(
-    solvedWithOneSub +
+    subData.solvedWithOneSub +
       ' (' +
-      (solved ? ((solvedWithOneSub / solved) * 100).toFixed(2) : 0) +
+      (subData.solved
+        ? ((subData.solvedWithOneSub / subData.solved) * 100).toFixed(2)
+        : 0) +
       '%)'
   );
 
-  unsolved.forEach(function (p) {
-    var url = get_url(p);
-    $('#unsolvedList').append(
-      '<div><a href="' + url + '" target="_blank" class="lnk">' + p + '</a></div>'
-    );
+  unsolvedTable.setRows(
+    subData.unsolved.map(function (p) {
+      return {
+        name: p.name,
+        link: p.link,
+        rating: p.rating,
+        tags: p.tags.join(', '),
+        attempts: p.attempts,
+        lastVerdict: p.lastVerdict,
+        lastTime: p.lastTime,
+        lastFail: p.lastFail
+      };
+    })
+  );
+
+  drawBreakdown();
+}
+
+// the search matches the names, tags and last verdicts
+function filterUnsolved(row) {
+  var search = $('#unsolvedSearch').val().trim().toLowerCase();
+  if (!search) return true;
+  return [row.name, row.tags, formatVerdict(row.lastVerdict)].some(function (text) {
+    return text.toLowerCase().indexOf(search) != -1;
   });
 }
 
+// opens the last failed submission of an unsolved problem
+function openLastFail(row) {
+  if (row.lastFail === null) return;
+  var contest = row.lastFail.contestId;
+  window.open(
+    'https://codeforces.com/' +
+      (contest < 100000 ? 'contest/' : 'gym/') +
+      contest +
+      '/submission/' +
+      row.lastFail.id,
+    '_blank'
+  );
+}
+
+function formatUnsolvedProblem(name, row) {
+  return $('<div>')
+    .append(
+      $('<a class="lnk" target="_blank">')
+        .attr('href', get_url(row.link))
+        .text(row.link.replace('-', '') + '. ' + name)
+    )
+    .html();
+}
+
+// short names of the verdicts, like WA
+function formatVerdict(verdict) {
+  var info = getVerdictInfo(verdict);
+  if (info !== null) return info.title;
+  return verdict.replace(/_/g, ' ').toLowerCase();
+}
+
+function formatTime(time) {
+  return new Date(time * 1000).toLocaleString();
+}
+
 // reset all data
 function resetData() {
   // if the requests were already made, abort them
   if (req1) req1.abort();
   if (req2) req2.abort();
-  verdicts = {};
-  langs = {};
-  tags = {};
-  levels = {};
-  problems = {};
-  totalSub = 0;
+  if (req3) req3.abort();
+  stopPerformance();
+  stopRecommend();
+  stopUpsolve();
+  submissions = [];
+  subData = {};
   heatmap = {};
-  ratings = {};
   $('#mainSpinner').addClass('is-active');
   $('.to-clear').empty();
   $('.to-hide').addClass('hidden');
@@ -579,12 +661,13 @@ function resetData() {
 
 // receives the problem id like 650-A
 // splits the contest id and problem index and returns the problem url
+// gym contests have ids above 100000
 function get_url(p) {
   var con = p.split('-')[0];
   var index = p.split('-')[1];
 
   var url = '';
-  if (con.length <= 4)
+  if (parseInt(con) < 100000)
     url = 'https://codeforces.com/contest/' + con + '/problem/' + index;
   else url = 'https://codeforces.com/problemset/gymProblem/' + con + '/' + index;
 
@@ -606,7 +689,7 @@ function getParameterByName(name, url) {
 
 // Opens a share window when the share button is clicked
 function fbShareResult() {
-  var url = window.location.href + '?handle=' + handle; // generation share url
+  var url = window.location.href.split('?')[0] + getShareQuery(); // generation share url
   var top = screen.height / 2 - 150;
   var left = screen.width / 2 - 300;
   window.open(
@@ -0,0 +1,163 @@
+// Table of rows that can be sorted by clicking on the column headers.
+//
+// columns is a list of { key, title, numeric, format }
+//   key is the field of the row objects shown in the column
+//   format(value, row) is optional and returns the html of the cell, otherwise the value is shown as text
+// options:
+//   sortKey, sortAsc: initial sorting
+//   limit: show only this many rows, big tables make the page slow
+//   pageSize: show the rows in pages of this size instead, with buttons to move between them
+//   highlight(row): rows it returns true for get highlighted, and are shown even beyond the limit
+//   onClick(row): called when a row is clicked, not when a link in it is
+function createSortableTable(container, columns, options) {
+  options = options || {};
+  var table = {
+    rows: [],
+    sortKey: options.sortKey || columns[0].key,
+    sortAsc: options.sortAsc !== false,
+    limit: options.limit || Infinity,
+    pageSize: options.pageSize || 0,
+    page: 0,
+    filter: null, // rows it returns false for are not shown
+    highlight: options.highlight || null,
+    onClick: options.onClick || null
+  };
+
+  table.setRows = function (rows) {
+    table.rows = rows.slice();
+    table.page = 0;
+    table.render();
+  };
+
+  table.setFilter = function (filter) {
+    table.filter = filter;
+    table.page = 0;
+    table.render();
+  };
+
+  table.setPage = function (page) {
+    table.page = page;
+    table.render();
+  };
+
+  table.sortBy = function (key) {
+    if (table.sortKey == key) table.sortAsc = !table.sortAsc;
+    else {
+      table.sortKey = key;
+      // numbers are more interesting from the biggest, names from A
+      table.sortAsc = !getColumn(key).numeric;
+    }
+    table.page = 0;
+    table.render();
+  };
+
+  table.render = function () {
+    sortRows(table.rows, table.sortKey, table.sortAsc);
+    var rows = table.filter === null ? table.rows : table.rows.filter(table.filter);
+    var pages = Math.max(1, Math.ceil(rows.length / table.pageSize));
+    if (table.pageSize) {
+      table.page = Math.min(Math.max(table.page, 0), pages - 1);
+      rows = rows.slice(table.page * table.pageSize, (table.page + 1) * table.pageSize);
+    }
+
+    var $table = $('<table class="mdl-data-table sortable-table">');
+    var $head = $('<tr class="mdl-color--teal-300">');
+    columns.forEach(function (col) {
+      var $th = $('<th>')
+        .text(col.title)
+        .toggleClass('mdl-data-table__cell--non-numeric', !col.numeric)
+        .click(function () {
+          table.sortBy(col.key);
+        });
+      if (col.key == table.sortKey) {
+        $th.addClass(
+          table.sortAsc
+            ? 'mdl-data-table__header--sorted-ascending'
+            : 'mdl-data-table__header--sorted-descending'
+        );
+      }
+      $head.append($th);
+    });
+    $table.append($('<thead>').append($head));
+
+    var $body = $('<tbody>');
+    rows.forEach(function (row, i) {
+      var highlighted = table.highlight !== null && table.highlight(row);
+      if (i >= table.limit && !highlighted) return;
+      var $tr = $('<tr>').toggleClass('highlighted', highlighted);
+      if (table.onClick !== null) {
+        $tr.addClass('clickable').click(function (e) {
+          if ($(e.target).closest('a').length === 0) table.onClick(row);
+        });
+      }
+      columns.forEach(function (col) {
+        var $td = $('<td>').toggleClass(
+          'mdl-data-table__cell--non-numeric',
+          !col.numeric
+        );
+        if (col.format) $td.html(col.format(row[col.key], row));
+        else $td.text(row[col.key] === undefined ? '' : row[col.key]);
+        $tr.append($td);
+      });
+      $body.append($tr);
+    });
+    $table.append($body);
+
+    $(container).empty().append($table);
+    if (table.pageSize) {
+      $(container).append(renderPager(pages));
+    } else if (rows.length > table.limit) {
+      $(container).append(
+        $('<p class="table-note">').text(
+          'Showing ' + table.limit + ' of ' + rows.length + ' rows'
+        )
+      );
+    }
+  };
+
+  function renderPager(pages) {
+    var $pager = $('<div class="table-pager">');
+    $pager.append(
+      $('<button class="mdl-button mdl-js-button">')
+        .text('Previous')
+        .prop('disabled', table.page === 0)
+        .click(function () {
+          table.setPage(table.page - 1);
+        })
+    );
+    $pager.append(
+      $('<span class="table-note">').text('Page ' + (table.page + 1) + ' of ' + pages)
+    );
+    $pager.append(
+      $('<button class="mdl-button mdl-js-button">')
+        .text('Next')
+        .prop('disabled', table.page >= pages - 1)
+        .click(function () {
+          table.setPage(table.page + 1);
+        })
+    );
+    return $pager;
+  }
+
+  function getColumn(key) {
+    for (var i = 0; i < columns.length; i++) {
+      if (columns[i].key == key) return columns[i];
+    }
+    return {};
+  }
+
+  return table;
+}
+
+// sorts in place, rows missing the value go to the end
+function sortRows(rows, key, asc) {
+  rows.sort(function (a, b) {
+    var x = a[key];
+    var y = b[key];
+    if (x === y) return 0;
+    if (x === undefined || x === null) return 1;
+    if (y === undefined || y === null) return -1;
+    var cmp = typeof x == 'string' ? x.localeCompare(y) : x - y;
+    return asc ? cmp : -cmp;
+  });
+}
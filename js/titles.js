@@ -0,0 +1,23 @@
+// Rank titles of codeforces, the rating each one starts from and its color
+
+var RANK_TITLES = [
+  { rating: 0, title: 'Newbie', color: '#CCCCCC' },
+  { rating: 1200, title: 'Pupil', color: '#77FF77' },
+  { rating: 1400, title: 'Specialist', color: '#77DDBB' },
+  { rating: 1600, title: 'Expert', color: '#AAAAFF' },
+  { rating: 1900, title: 'Candidate Master', color: '#FF88FF' },
+  { rating: 2100, title: 'Master', color: '#FFCC88' },
+  { rating: 2300, title: 'International Master', color: '#FFBB55' },
+  { rating: 2400, title: 'Grandmaster', color: '#FF7777' },
+  { rating: 2600, title: 'International Grandmaster', color: '#FF3333' },
+  { rating: 3000, title: 'Legendary Grandmaster', color: '#AA0000' }
+];
+
+// the title of a rating, an entry of RANK_TITLES
+function getRankTitle(rating) {
+  var title = RANK_TITLES[0];
+  RANK_TITLES.forEach(function (t) {
+    if (rating >= t.rating) title = t;
+  });
+  return title;
+}
@@ -0,0 +1,151 @@
+// Upsolving tracker: the problems of each rated contest of the user that they didn't solve
+// during the contest, which of them they solved since, and how much of it is done.
+// The problems of the contests come from the problemset, see getUpsolving.
+// Needs cf_api.js, cf_store.js, analysis.js, sortable_table.js and single.js
+
+var upsolveTable = null;
+var upsolveRows = [];
+var upsolveReqs = [];
+
+$(document).ready(function () {
+  upsolveTable = createSortableTable(
+    '#upsolveTable',
+    [
+      { key: 'contestName', title: 'Contest', format: formatUpsolveContest },
+      { key: 'time', title: 'Date', numeric: true, format: formatUpsolveDate },
+      { key: 'inContest', title: 'Solved in contest', numeric: true },
+      { key: 'upsolved', title: 'Upsolved', numeric: true },
+      { key: 'left', title: 'Left', numeric: true },
+      { key: 'completion', title: 'Done', numeric: true, format: formatCompletion },
+      { key: 'remaining', title: 'Problems', format: formatUpsolveProblems }
+    ],
+    { sortKey: 'time', sortAsc: false, pageSize: 20 }
+  );
+
+  upsolveTable.setFilter(filterUpsolving);
+
+  $('#upsolveButton').click(loadUpsolving);
+  $('#upsolveHideDone').change(function () {
+    upsolveTable.setFilter(filterUpsolving);
+  });
+});
+
+// called when the submissions of a new user are analyzed
+function showUpsolveCard() {
+  stopUpsolve();
+  upsolveRows = [];
+  upsolveTable.setRows([]);
+  $('#upsolveButton').prop('disabled', false);
+  $('#upsolveStatus, #upsolveSummary').text('');
+  $('#upsolveCon').removeClass('hidden');
+}
+
+function stopUpsolve() {
+  upsolveReqs.forEach(function (req) {
+    req.abort();
+  });
+  upsolveReqs = [];
+}
+
+function loadUpsolving() {
+  $('#upsolveButton').prop('disabled', true);
+  $('#upsolveStatus').text('Downloading the problemset...');
+  // user.rating is in the api client's cache already
+  upsolveReqs = [getProblemset(), cfApi('user.rating', { handle: handle })];
+  $.when(upsolveReqs[0], upsolveReqs[1])
+    .done(function (problemset, contests) {
+      $('#upsolveStatus').text('');
+      // every submission, not only the ones in the time range
+      upsolveRows = getUpsolving(
+        contests,
+        problemset.problems,
+        submissions,
+        problemKey
+      ).map(function (row) {
+        var upsolved = row.problems.filter(function (p) {
+          return p.solved;
+        }).length;
+        return {
+          contestId: row.contestId,
+          contestName: row.contestName,
+          time: row.time,
+          inContest: row.inContest,
+          problems: row.problems,
+          upsolved: upsolved,
+          left: row.problems.length,
+          remaining: row.problems.length - upsolved,
+          // nothing left after the contest is all done
+          completion: row.problems.length ? upsolved / row.problems.length : 1
+        };
+      });
+      showUpsolveSummary();
+      upsolveTable.setRows(upsolveRows);
+    })
+    .fail(function (err) {
+      if (err.type == CF_ERROR.ABORTED) return;
+      $('#upsolveStatus').text(cfErrorMessage(err));
+      $('#upsolveButton').prop('disabled', false);
+    });
+}
+
+function showUpsolveSummary() {
+  var left = 0;
+  var upsolved = 0;
+  upsolveRows.forEach(function (row) {
+    left += row.left;
+    upsolved += row.upsolved;
+  });
+  if (upsolveRows.length === 0) {
+    $('#upsolveSummary').text('No rated contests in the problemset');
+    return;
+  }
+  $('#upsolveSummary').text(
+    'Upsolved ' +
+      upsolved +
+      ' of the ' +
+      left +
+      ' problems left after ' +
+      upsolveRows.length +
+      ' contests' +
+      (left ? ' (' + formatCompletion(upsolved / left) + ')' : '')
+  );
+}
+
+// the filter of the table, the contests with nothing left to upsolve can be hidden
+function filterUpsolving(row) {
+  return !$('#upsolveHideDone').prop('checked') || row.remaining > 0;
+}
+
+function formatUpsolveContest(name, row) {
+  return $('<div>')
+    .append(
+      $('<a class="lnk" target="_blank">')
+        .attr('href', 'https://codeforces.com/contest/' + row.contestId)
+        .text(name)
+    )
+    .html();
+}
+
+function formatUpsolveDate(time) {
+  return new Date(time * 1000).toLocaleDateString();
+}
+
+function formatCompletion(value) {
+  return Math.round(value * 100) + '%';
+}
+
+// the problems left after the contest, the upsolved ones marked
+function formatUpsolveProblems(remaining, row) {
+  var $div = $('<div>');
+  row.problems.forEach(function (p) {
+    $div.append(
+      $('<a target="_blank">')
+        .addClass(p.solved ? 'upsolved' : 'lnk')
+        .attr('href', get_url(p.problem.contestId + '-' + p.problem.index))
+        .attr('title', p.problem.name)
+        .text(p.problem.index),
+      ' '
+    );
+  });
+  return $div.html();
+}
@@ -1,10 +1,15 @@
 // Virtual rating change
 
-var api_url = 'https://codeforces.com/api/';
+// penalty minutes of a wrong try before the accepted one, in codeforces' ICPC rule rounds
+// (educational, div 3 and div 4). ICPC mirrors in the gym may use 20
+var ICPC_WRONG_PENALTY = 10;
+
 var ratings = [];
+var contestCounts = [];
 var places = [];
 var rows = [];
 var ratingsDict = {};
+var officialDeltas = {}; // handle -> the real rating change in the contest
 var handles = [];
 
 var contestId = -1;
@@ -12,9 +17,31 @@ var points = -1;
 var rating = -1;
 var rank = -1;
 var penalty = -1;
+var acceptTimes = ''; // accept times of the problems, for ICPC rule contests
+var contestType = 'CF'; // scoring rules of the contest, CF, IOI or ICPC
 var userHandle = null;
+var contestCount = ''; // number of rated contests the user had before, may be left empty
+var userContests = null; // user.rating of the user, to find out contestCount
+var contestStart = 0;
+var virtualAttempt = null; // the VIRTUAL standings row of the user, if the points came from it
+var attemptsReq = null;
 
 $(document).ready(function () {
+  // the points typed by hand are not from a virtual participation anymore
+  $('#contestId, #points, #penalty, #acceptTimes, #handle').on('input', function () {
+    virtualAttempt = null;
+  });
+
+  // the score is entered in the terms of the contest, so we need to know its type early
+  $('#contestId').change(function () {
+    var id = $('#contestId').val().trim();
+    getContestList().done(function (contests) {
+      contests.forEach(function (con) {
+        if (con.id == id) setScoring(con.type);
+      });
+    });
+  });
+
   $('#inputform').submit(function (e) {
     $('#mainSpinner').addClass('is-active');
     resetData();
@@ -30,88 +57,131 @@ $(document).ready(function () {
     rating = $('#rating').val().trim();
     points = $('#points').val().trim();
     penalty = $('#penalty').val().trim();
+    acceptTimes = $('#acceptTimes').val().trim();
     userHandle = $('#handle').val().trim();
+    contestCount = $('#contestCount').val().trim();
 
     if (!newContestId) {
       err_message('contestIdDiv', 'Not valid contest ID');
       return;
     }
-    if (!points) {
+    if (acceptTimes) {
+      var score = parseAcceptTimes(acceptTimes);
+      if (score === null) {
+        err_message('acceptTimesDiv', 'Not valid accept times');
+        return;
+      }
+      points = score.points;
+      penalty = score.penalty;
+    }
+    if (points === '') {
+      // the points of a virtual participation can be found in the standings
+      if (userHandle) {
+        findVirtualAttempts(newContestId, userHandle);
+        return;
+      }
       err_message('pointsDiv', 'Not valid points');
       return;
     }
-    if (!penalty) {
-      err_message('penaltyDiv', 'Not valid penalty');
-      return;
+    if (penalty === '') {
+      // only ICPC rule contests always have penalty
+      if (contestType == 'ICPC') {
+        err_message('penaltyDiv', 'Not valid penalty');
+        return;
+      }
+      penalty = 0;
     }
+    points = parseFloat(points);
+    penalty = parseInt(penalty);
     if (!(rating || userHandle)) {
       err_message('ratingDiv', 'Rating must not be empty without user handle');
       return;
     }
+    rating = rating ? parseInt(rating) : '';
+
+    // newcomers are calculated differently, we need to know how many rated contests they had
+    // and a virtual participant's rating is taken from the time of the participation
+    var userReq = $.when();
+    userContests = null;
+    if (userHandle && (!contestCount || (virtualAttempt && rating === ''))) {
+      userReq = cfApi('user.rating', { handle: userHandle })
+        .done(function (result) {
+          userContests = result;
+        })
+        .fail(function (err) {
+          if (err.type != CF_ERROR.ABORTED) err_message('handleDiv', cfErrorMessage(err));
+        });
+    }
 
     if (
       newContestId != contestId ||
       rows.length == 0 ||
       Object.keys(ratingsDict).length == 0
     ) {
-      showMessage('Downloading data can take a few minutes. Thanks for your patience.');
+      showMessage(
+        'Downloading a contest for the first time can take a few minutes. Thanks for your patience.'
+      );
       contestId = newContestId;
+      ratingsDict = {};
+      officialDeltas = {};
 
-      var req1 = $.get(
-        api_url + 'contest.standings',
-        { contestId: contestId },
-        function (data, status) {
-          rows = data.result.rows;
-        }
-      ).fail(getDataFailed);
+      var req1 = getContestStandings(contestId)
+        .done(function (result) {
+          rows = result.rows;
+          contestStart = result.contest.startTimeSeconds;
+          setScoring(result.contest.type);
+        })
+        .fail(getDataFailed);
 
       // we need all the participants' ratings before the contest
-      var req2 = $.get(
-        api_url + 'contest.ratingChanges',
-        { contestId: contestId },
-        function (data, status) {
-          if (data.result.length == 0) {
-            getDataFailed();
-            req1.abort();
-            return;
-          }
-          for (var i = 0; i < data.result.length; i++) {
-            var change = data.result[i];
+      var req2 = getRatingChanges(contestId)
+        .done(function (result) {
+          for (var i = 0; i < result.length; i++) {
+            var change = result[i];
             ratingsDict[change.handle] = change.oldRating;
+            officialDeltas[change.handle] = change.newRating - change.oldRating;
           }
-        }
-      ).fail(getDataFailed);
+        })
+        .fail(function (err) {
+          req1.abort();
+          getDataFailed(err);
+        });
 
-      $.when(req1, req2).then(function () {
+      $.when(req1, req2, userReq).then(function () {
         if (Object.keys(ratingsDict).length != 0) {
           refresh();
         }
       });
     } else {
-      setTimeout(refresh, 2);
+      userReq.then(function () {
+        setTimeout(refresh, 2);
+      });
     }
   });
 });
 
-function getDataFailed() {
-  err_message(
-    'contestIdDiv',
-    'Contest not found, or not rated, or not finished yet, or bad network'
-  );
+function getDataFailed(err) {
+  if (err.type == CF_ERROR.ABORTED) return;
+  err_message('contestIdDiv', cfErrorMessage(err));
 }
 
 function refresh() {
+  if (acceptTimes && contestType != 'ICPC') {
+    err_message('acceptTimesDiv', 'Accept times are only for ICPC rule contests');
+    return;
+  }
+
+  // trying to guess what what would have been his rank if he participated in the real contest
+  var placement = getPlace({ points: points, penalty: penalty });
+  rank = placement.rank;
+
   var handleFound = false;
+  var placed = false;
   for (var i = 0; i < rows.length; i++) {
-    // trying to guess what what would have been his rank if he participated in the real contest
-    if (
-      (points > rows[i].points ||
-        (points == rows[i].points && penalty <= rows[i].penalty)) &&
-      rank == -1
-    ) {
+    if (rows[i].rank > placement.place && !placed) {
       handles.push('virtual user');
-      places.push(rows[i].rank);
-      rank = rows[i].rank;
+      places.push(placement.place);
+      placed = true;
     }
     let currentHandle = rows[i].party.members[0].handle;
     if (userHandle == currentHandle) {
@@ -121,26 +191,64 @@ function refresh() {
       handles.push(rows[i].party.members[0].handle);
     }
   }
+  if (!placed) {
+    handles.push('virtual user');
+    places.push(placement.place);
+  }
 
-  if (userHandle != '' && !handleFound) {
+  if (userHandle != '' && !handleFound && virtualAttempt === null) {
     err_message('handleDiv', 'User did not participate in contest');
     return;
   }
 
-  if (!rating) rating = ratingsDict[userHandle];
+  if (rating === '') {
+    rating = virtualAttempt
+      ? getUserRatingAt(getReferenceTime())
+      : ratingsDict[userHandle];
+  }
 
   for (var i = 0; i < handles.length; i++) {
-    ratings[i] = handles[i] in ratingsDict ? ratingsDict[handles[i]] : rating;
+    if (handles[i] == 'virtual user') {
+      ratings[i] = rating;
+      contestCounts[i] = getUserContestCount();
+    } else if (handles[i] in ratingsDict) {
+      ratings[i] = ratingsDict[handles[i]];
+      // only the first contest of a newcomer can be told from the rating changes,
+      // the displayed rating is 0 then. the rest are taken as not newcomers
+      contestCounts[i] = ratings[i] === 0 ? 0 : undefined;
+    } else {
+      // not rated before, so a newcomer
+      ratings[i] = 0;
+      contestCounts[i] = 0;
+    }
   }
 
-  var results = CalculateRatingChanges(ratings, places, handles);
-  showResult(results);
+  // this can take a while for big contests, the worker keeps the page responding
+  $('#mainSpinner').removeClass('is-active');
+  showProgress(0);
+  calculateInWorker('virtual', ratings, places, handles, contestCounts)
+    .progress(function (done, total) {
+      showProgress((done / total) * 100);
+    })
+    .done(showResult)
+    .fail(function (err) {
+      if (err.type != CF_ERROR.ABORTED) err_message('contestIdDiv', cfErrorMessage(err));
+    })
+    .always(function () {
+      $('#progressCon').addClass('hidden');
+    });
 }
 
 function resetData() {
+  cancelCalculation('virtual'); // a new query, the old calculation is not needed anymore
   $('#mainSpinner').addClass('is-active');
   $('#result').addClass('hidden');
+  $('#hiddenChangeRow').addClass('hidden');
+  $('#tableCon').addClass('hidden');
+  $('#sweepCon').addClass('hidden');
+  cancelCalculation('sweep');
   ratings = [];
+  contestCounts = [];
   places = [];
   handles = [];
   rank = -1;
@@ -151,11 +259,158 @@ function showResult(results) {
   $('#result').removeClass('hidden');
   for (var i = 0; i < results.length; i++) {
     if (results[i].party == 'virtual user') {
-      $('#change').html(results[i].delta > 0 ? '+' + results[i].delta : results[i].delta);
+      $('#change').html(formatDelta(results[i].displayDelta));
+      if (results[i].newcomer) {
+        $('#hiddenChange').html(formatDelta(results[i].delta));
+        $('#hiddenChangeRow').removeClass('hidden');
+      }
       $('#rank').html(rank);
       $('#position').html(parseInt(results[i].seed));
     }
   }
+  showPredictionTable(results);
+  $('#sweepTargets').empty();
+  $('#sweepChart').empty();
+  $('#sweepCon').removeClass('hidden');
+}
+
+// where a score of { points, penalty } would be in the standings.
+// returns { place, rank }, place is for the calculation: strictly better goes just before
+// the ones it beats, like 4.5 before rank 5, a tie shares their rank
+function getPlace(score) {
+  for (var i = 0; i < rows.length; i++) {
+    var cmp = compareScore(score, rows[i]);
+    if (cmp < 0) return { place: rows[i].rank - 0.5, rank: rows[i].rank };
+    if (cmp === 0) return { place: rows[i].rank, rank: rows[i].rank };
+  }
+  // worse than everyone
+  var last = rows.length ? rows[rows.length - 1].rank + 1 : 1;
+  return { place: last, rank: last };
+}
+
+// compares a score with a standings row, like a sort comparator:
+// negative if the score ranks above the row, 0 for a tie
+// hacks are already in the points. CF rules rank by points only, IOI and ICPC rules
+// (solved problems for ICPC) break ties with the penalty
+function compareScore(score, row) {
+  if (score.points != row.points) return score.points > row.points ? -1 : 1;
+  if (contestType == 'CF' || score.penalty == row.penalty) return 0;
+  return score.penalty < row.penalty ? -1 : 1;
+}
+
+// accept times like "12 1:05+2 47+1", minutes or hours:minutes of each solved problem,
+// and +wrong tries before the accept. returns { points, penalty } in ICPC terms, or null
+function parseAcceptTimes(text) {
+  var score = { points: 0, penalty: 0 };
+  var times = text.split(/[\s,]+/);
+  for (var i = 0; i < times.length; i++) {
+    var match = /^(?:(\d+):)?(\d+)(?:\+(\d+))?$/.exec(times[i]);
+    if (match === null) return null;
+    var minutes = parseInt(match[1] || 0) * 60 + parseInt(match[2]);
+    score.points++;
+    score.penalty += minutes + parseInt(match[3] || 0) * ICPC_WRONG_PENALTY;
+  }
+  return score;
+}
+
+// changes the score inputs to the terms of the contest
+function setScoring(type) {
+  contestType = type;
+  var icpc = type == 'ICPC';
+  $('#pointsDiv label').text(icpc ? 'Problems solved' : 'Points');
+  $('#penaltyDiv label').text(icpc ? 'Penalty minutes' : 'Penalty (0 if not exist)');
+  $('#penaltyDiv').toggleClass('hidden', type == 'CF');
+  $('#acceptTimesDiv').toggleClass('hidden', !icpc);
+  $('#acceptTimesTip').toggleClass('hidden', !icpc);
+}
+
+// number of rated contests the user had before this contest, undefined if we don't know
+function getUserContestCount() {
+  if (contestCount !== '') return parseInt(contestCount);
+  if (!userContests) return undefined;
+  var time = getReferenceTime();
+  return userContests.filter(function (con) {
+    return con.ratingUpdateTimeSeconds < time;
+  }).length;
+}
+
+// rating of the user at that time, 0 if not rated yet
+function getUserRatingAt(time) {
+  var rating = 0;
+  (userContests || []).forEach(function (con) {
+    if (con.ratingUpdateTimeSeconds < time) rating = con.newRating;
+  });
+  return rating;
+}
+
+// the user is taken as they were when they took part, live or virtually
+function getReferenceTime() {
+  return virtualAttempt ? virtualAttempt.party.startTimeSeconds : contestStart;
+}
+
+// looks for the virtual participations of the user in the unofficial standings
+// one is used right away, if there are more the user picks one
+function findVirtualAttempts(contestId, handle) {
+  if (attemptsReq) attemptsReq.abort();
+  $('#attemptsCon').addClass('hidden');
+
+  attemptsReq = cfApi(
+    'contest.standings',
+    { contestId: contestId, handles: handle, showUnofficial: true },
+    { cache: false }
+  )
+    .done(function (result) {
+      var attempts = result.rows.filter(function (row) {
+        return row.party.participantType == 'VIRTUAL';
+      });
+      if (attempts.length === 0) {
+        err_message('pointsDiv', 'No virtual participation found, enter the points');
+      } else if (attempts.length == 1) {
+        useAttempt(attempts[0]);
+      } else {
+        showAttempts(attempts);
+      }
+    })
+    .fail(function (err) {
+      if (err.type == CF_ERROR.ABORTED) return;
+      err_message('contestIdDiv', cfErrorMessage(err));
+    });
+}
+
+function showAttempts(attempts) {
+  $('#mainSpinner').removeClass('is-active');
+  $('#attempts').empty();
+  attempts.forEach(function (row) {
+    var started = new Date(row.party.startTimeSeconds * 1000).toLocaleString();
+    $('#attempts').append(
+      $('<button type="button" class="mdl-button mdl-js-button mdl-button--raised">')
+        .text(started + ': ' + row.points + ' points, penalty ' + row.penalty)
+        .click(function () {
+          useAttempt(row);
+        })
+    );
+  });
+  $('#attemptsCon').removeClass('hidden');
+}
+
+// fills the form with the points of a virtual participation and calculates
+function useAttempt(row) {
+  virtualAttempt = row;
+  setField('points', row.points);
+  setField('penalty', row.penalty);
+  setField('acceptTimes', '');
+  $('#inputform').submit();
+}
+
+// sets the value of an input, and lets mdl move the label out of the way
+function setField(id, value) {
+  $('#' + id).val(value);
+  var div = document.getElementById(id + 'Div');
+  if (div && div.MaterialTextfield) div.MaterialTextfield.checkDirty();
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? '+' + delta : delta;
 }
 
 function err_message(div, msg) {
@@ -164,6 +419,14 @@ function err_message(div, msg) {
   $('#' + div).addClass('is-invalid');
 }
 
+// shows the progress bar of the calculation, percent is from 0 to 100
+function showProgress(percent) {
+  $('#progressCon').removeClass('hidden');
+  $('#progressText').html('Calculating rating changes... ' + Math.floor(percent) + '%');
+  var bar = document.getElementById('progressBar');
+  if (bar.MaterialProgress) bar.MaterialProgress.setProgress(percent);
+}
+
 //
 function showMessage(text) {
   var data = { message: text, timeout: 10000 };
@@ -0,0 +1,176 @@
+// What-if sweep: the predicted rating change at every rank, or for every score,
+// and the ranks needed to reach some targets. To set a target before a virtual contest.
+// Needs rating_task.js, titles.js and vir.js
+
+var SWEEP_SAMPLES = 30; // points of the chart, each one is a whole calculation
+
+var sweepTitleStyle = {
+  fontSize: 18,
+  color: '#393939',
+  bold: false
+};
+
+google.charts.load('current', { packages: ['corechart'] });
+
+$(document).ready(function () {
+  $('#sweepform').submit(function (e) {
+    e.preventDefault();
+    runSweep($('#sweepMode').val());
+  });
+});
+
+// mode is 'rank' or 'points', what the chart goes over
+function runSweep(mode) {
+  // the standings of the last calculation, without the virtual user
+  var task = { ratings: [], places: [], handles: [], contestCounts: [] };
+  for (var i = 0; i < handles.length; i++) {
+    if (handles[i] == 'virtual user') {
+      task.rating = ratings[i];
+      task.contestCount = contestCounts[i];
+    } else {
+      task.ratings.push(ratings[i]);
+      task.places.push(places[i]);
+      task.handles.push(handles[i]);
+      task.contestCounts.push(contestCounts[i]);
+    }
+  }
+  task.lastRank = task.places.length ? task.places[task.places.length - 1] + 1 : 1;
+
+  var xs; // ranks or points of the chart
+  if (mode == 'rank') {
+    xs = getSweepRanks(task.lastRank);
+    task.sweepPlaces = xs.map(function (r) {
+      return r - 0.5;
+    });
+  } else {
+    xs = getSweepPoints();
+    task.sweepPlaces = xs.map(function (p) {
+      return getPlace({ points: p, penalty: penalty }).place;
+    });
+  }
+  var targets = getSweepTargets(task.rating);
+  task.targets = targets.map(function (t) {
+    return t.delta;
+  });
+
+  $('#sweepTargets').empty();
+  $('#sweepChart').empty();
+  showProgress(0);
+  sweepInWorker('sweep', task)
+    .progress(function (done, total) {
+      showProgress((done / total) * 100);
+    })
+    .done(function (result) {
+      drawSweep(mode, xs, result.deltas);
+      showTargets(targets, result.targetRanks);
+    })
+    .fail(function (err) {
+      if (err.type != CF_ERROR.ABORTED) err_message('contestIdDiv', cfErrorMessage(err));
+    })
+    .always(function () {
+      $('#progressCon').addClass('hidden');
+    });
+}
+
+// ranks spread evenly on a log scale, the top ranks change the most
+function getSweepRanks(lastRank) {
+  var ranks = [];
+  for (var k = 0; k < SWEEP_SAMPLES; k++) {
+    var r = Math.round(Math.exp((Math.log(lastRank) * k) / (SWEEP_SAMPLES - 1)));
+    if (ranks.indexOf(r) == -1) ranks.push(r);
+  }
+  return ranks;
+}
+
+// scores from 0 to the best one in the standings, every count of problems for ICPC
+function getSweepPoints() {
+  var max = rows.length ? rows[0].points : 0;
+  var values = [];
+  var samples = contestType == 'ICPC' ? max + 1 : SWEEP_SAMPLES;
+  for (var k = 0; k < samples; k++) {
+    var p = samples > 1 ? Math.round((max * k) / (samples - 1)) : 0;
+    if (values.indexOf(p) == -1) values.push(p);
+  }
+  return values;
+}
+
+// not losing rating, +50, +100 and the next title
+function getSweepTargets(rating) {
+  var targets = [
+    { label: 'Not losing rating', delta: 0 },
+    { label: '+50', delta: 50 },
+    { label: '+100', delta: 100 }
+  ];
+  for (var i = 0; i < RANK_TITLES.length; i++) {
+    var title = RANK_TITLES[i];
+    if (title.rating > rating) {
+      targets.push({
+        label: 'Becoming ' + title.title + ' (+' + (title.rating - rating) + ')',
+        delta: title.rating - rating
+      });
+      break;
+    }
+  }
+  return targets;
+}
+
+function drawSweep(mode, xs, deltas) {
+  if (typeof google.visualization === 'undefined') {
+    google.charts.setOnLoadCallback(function () {
+      drawSweep(mode, xs, deltas);
+    });
+    return;
+  }
+  var xTitle =
+    mode == 'rank' ? 'Rank' : contestType == 'ICPC' ? 'Problems solved' : 'Points';
+
+  var data = new google.visualization.DataTable();
+  data.addColumn('number', xTitle);
+  data.addColumn('number', 'Predicted change');
+  for (var i = 0; i < xs.length; i++) data.addRow([xs[i], deltas[i]]);
+
+  var options = {
+    height: 300,
+    title: 'Predicted rating change by ' + xTitle.toLowerCase(),
+    legend: 'none',
+    fontName: 'Roboto',
+    titleTextStyle: sweepTitleStyle,
+    hAxis: { title: xTitle, logScale: mode == 'rank' },
+    vAxis: { title: 'Rating change' },
+    pointSize: 4,
+    colors: ['#3F51B5']
+  };
+  var chart = new google.visualization.LineChart(document.getElementById('sweepChart'));
+  chart.draw(data, options);
+}
+
+function showTargets(targets, ranks) {
+  var $body = $('<tbody>');
+  targets.forEach(function (target, i) {
+    var text = 'Not reachable';
+    if (ranks[i] !== null) {
+      text = 'Rank ' + ranks[i] + ' or better';
+      var points = getPointsAtRank(ranks[i]);
+      if (points !== null) text += ' (' + points + ' there)';
+    }
+    $body.append(
+      $('<tr>')
+        .append($('<td class="mdl-data-table__cell--non-numeric">').text(target.label))
+        .append($('<td>').text(text))
+    );
+  });
+  $('#sweepTargets').append($body);
+}
+
+// score of the participant at that rank, in the terms of the contest
+function getPointsAtRank(r) {
+  for (var i = 0; i < rows.length; i++) {
+    if (rows[i].rank >= r) {
+      if (contestType == 'ICPC') {
+        return rows[i].points + ' solved, penalty ' + rows[i].penalty;
+      }
+      return rows[i].points + ' points';
+    }
+  }
+  return null;
+}
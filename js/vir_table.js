@@ -0,0 +1,168 @@
+// Table of the predicted rating changes of every participant of the virtual contest,
+// to check the predictions of many users, like a team, in one place.
+// Needs cf_store.js, sortable_table.js and vir.js
+
+var FRIENDS_KEY = 'friends'; // localStorage key of the friends list
+
+var predictionTable = null;
+var tableInfos = null; // handle -> user.info, downloaded only when filtering by country or organization
+var tableInfoContest = -1; // contest the infos are for
+var tableInfoReq = null;
+
+$(document).ready(function () {
+  predictionTable = createSortableTable(
+    '#predictionTable',
+    [
+      { key: 'rank', title: 'Rank', numeric: true },
+      { key: 'handle', title: 'Handle', format: formatHandle },
+      { key: 'rating', title: 'Old Rating', numeric: true },
+      { key: 'seed', title: 'Seed', numeric: true },
+      { key: 'needRating', title: 'Needed Rating', numeric: true },
+      { key: 'delta', title: 'Predicted', numeric: true, format: formatDelta },
+      { key: 'official', title: 'Official', numeric: true, format: formatDelta }
+    ],
+    {
+      sortKey: 'rank',
+      pageSize: 50,
+      highlight: function (row) {
+        return row.handle == 'virtual user';
+      }
+    }
+  );
+
+  $('#tableSearch').on('input', applyTableFilter);
+  $('#tableFilterValue').on('input', function () {
+    if ($('#tableFilter').val() == 'friends') saveFriends($('#tableFilterValue').val());
+    applyTableFilter();
+  });
+  $('#tableFilter').change(function () {
+    var filter = $('#tableFilter').val();
+    if (filter == 'friends') {
+      $('#tableFilterValue')
+        .val(loadFriends())
+        .attr('placeholder', 'Handles, separated by spaces');
+    } else {
+      $('#tableFilterValue')
+        .val('')
+        .attr('placeholder', filter == 'country' ? 'Country' : 'Organization');
+    }
+    $('#tableFilterValue').toggleClass('hidden', filter == 'all');
+
+    if (
+      (filter == 'country' || filter == 'organization') &&
+      tableInfoContest != contestId
+    ) {
+      loadTableInfos();
+    }
+    applyTableFilter();
+  });
+});
+
+function showPredictionTable(results) {
+  // the standings ranks, the calculator changes the ranks of ties
+  var ranks = {};
+  for (var i = 0; i < handles.length; i++) ranks[handles[i]] = places[i];
+  ranks['virtual user'] = rank; // its place can be between two ranks
+
+  predictionTable.setRows(
+    results.map(function (res) {
+      return {
+        rank: ranks[res.party],
+        handle: res.party,
+        rating: res.displayRating,
+        seed: Math.round(res.seed),
+        needRating: res.needRating,
+        delta: res.displayDelta,
+        official: officialDeltas[res.party]
+      };
+    })
+  );
+  $('#tableCon').removeClass('hidden');
+
+  var filter = $('#tableFilter').val();
+  if (
+    (filter == 'country' || filter == 'organization') &&
+    tableInfoContest != contestId
+  ) {
+    loadTableInfos();
+  }
+  applyTableFilter();
+}
+
+function applyTableFilter() {
+  var search = $('#tableSearch').val().trim().toLowerCase();
+  var filter = $('#tableFilter').val();
+  var value = $('#tableFilterValue').val().trim().toLowerCase();
+
+  var friends = {};
+  if (filter == 'friends') {
+    value.split(/[\s,;]+/).forEach(function (handle) {
+      if (handle) friends[handle] = true;
+    });
+  }
+
+  predictionTable.setFilter(function (row) {
+    var handle = row.handle.toLowerCase();
+    if (search && handle.indexOf(search) == -1) return false;
+    // the virtual user is in every group
+    if (filter == 'all' || !value || row.handle == 'virtual user') return true;
+    if (filter == 'friends') return friends[handle] === true;
+
+    // the infos may not have come yet
+    if (tableInfos === null || tableInfos[row.handle] === undefined) return false;
+    var field = tableInfos[row.handle][filter] || '';
+    return field.toLowerCase().indexOf(value) != -1;
+  });
+}
+
+// downloads user.info of all the participants, it has their countries and organizations
+function loadTableInfos() {
+  if (tableInfoReq) tableInfoReq.abort();
+  tableInfos = null;
+  tableInfoContest = contestId;
+
+  var participants = handles.filter(function (handle) {
+    return handle != 'virtual user';
+  });
+  $('#tableStatus').text('Downloading user info... 0 / ' + participants.length);
+  tableInfoReq = getUsersInfo(participants, function (done, total) {
+    $('#tableStatus').text('Downloading user info... ' + done + ' / ' + total);
+  })
+    .done(function (users) {
+      tableInfos = users;
+      $('#tableStatus').text('');
+      applyTableFilter();
+    })
+    .fail(function (err) {
+      if (err.type == CF_ERROR.ABORTED) return;
+      tableInfoContest = -1; // try again next time
+      $('#tableStatus').text(cfErrorMessage(err));
+    });
+}
+
+// the friends list is kept for the next visit. some browsers don't allow localStorage,
+// the list is just forgotten then
+function loadFriends() {
+  try {
+    return localStorage.getItem(FRIENDS_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function saveFriends(friends) {
+  try {
+    localStorage.setItem(FRIENDS_KEY, friends);
+  } catch (e) {}
+}
+
+function formatHandle(handle) {
+  if (handle == 'virtual user') return handle;
+  return (
+    '<a href="https://codeforces.com/profile/' +
+    handle +
+    '" target="_blank">' +
+    handle +
+    '</a>'
+  );
+}
@@ -3,15 +3,32 @@ importScripts(
 );
 
 workbox.precaching.precacheAndRoute([
-  { url: '/index.html', revision: '1119' },
+  { url: '/index.html', revision: '1134' },
   { url: '/about.html', revision: '1115' },
-  { url: '/compare.html', revision: '11154' },
-  { url: '/virtual-rating-change.html', revision: '1117' },
-  { url: '/js/compare_helper.js', revision: '1115' },
-  { url: '/js/compare.js', revision: '1112' },
-  { url: '/js/calculate.js', revision: '1113' },
-  { url: '/js/single.js', revision: '1114' },
-  { url: '/js/vir.js', revision: '1115' },
+  { url: '/compare.html', revision: '11161' },
+  { url: '/virtual-rating-change.html', revision: '1128' },
+  { url: '/js/cf_api.js', revision: '2' },
+  { url: '/js/cf_store.js', revision: '5' },
+  { url: '/js/compare_helper.js', revision: '1123' },
+  { url: '/js/problems.js', revision: '2' },
+  { url: '/js/analysis.js', revision: '6' },
+  { url: '/js/compare.js', revision: '1120' },
+  { url: '/js/calculate.js', revision: '1120' },
+  { url: '/js/rating_task.js', revision: '3' },
+  { url: '/js/rating_worker.js', revision: '2' },
+  { url: '/js/single.js', revision: '1127' },
+  { url: '/js/performance.js', revision: '4' },
+  { url: '/js/recommend.js', revision: '2' },
+  { url: '/js/breakdown.js', revision: '1' },
+  { url: '/js/participation.js', revision: '2' },
+  { url: '/js/upsolve.js', revision: '1' },
+  { url: '/js/titles.js', revision: '1' },
+  { url: '/js/rating_history.js', revision: '1' },
+  { url: '/js/vir.js', revision: '1124' },
+  { url: '/js/sortable_table.js', revision: '3' },
+  { url: '/js/vir_table.js', revision: '2' },
+  { url: '/js/vir_sweep.js', revision: '2' },
+  { url: '/js/live.js', revision: '3' },
 ]);
 
 workbox.routing.registerRoute(
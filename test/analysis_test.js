@@ -0,0 +1,101 @@
+// Checks the submission analysis shared by the single and the compare page against a
+// user.status fixture. Div 1 A and div 2 C of the fixture are the same problem.
+// Run with: node test/analysis_test.js
+
+var assert = require('assert');
+var analysis = require('../js/analysis.js');
+var getProblemResolver = require('../js/problems.js').getProblemResolver;
+
+var subs = require('./fixtures/user_status.json').result;
+var contests = require('./fixtures/contest_list.json').result;
+
+var problemKey = getProblemResolver(contests);
+var data = analysis.analyzeSubmissions(subs, problemKey);
+
+assert.strictEqual(data.totalSub, 9);
+assert.strictEqual(data.tried, 5);
+assert.strictEqual(data.solved, 4);
+assert.deepStrictEqual(
+  data.unsolved.map(function (p) {
+    return p.name;
+  }),
+  ['Hard Version']
+);
+// Twins and Easy Version, Sum of Digits took two submissions
+assert.strictEqual(data.solvedWithOneSub, 2);
+assert.strictEqual(data.averageAttempt, 9 / 4);
+// the merged problem was solved first as div 1 A, A1 counts as A
+assert.deepStrictEqual(data.levels, { A: 3, B: 1 });
+assert.deepStrictEqual(data.tags, {
+  greedy: 1,
+  math: 1,
+  'dfs and similar': 1,
+  trees: 1,
+  implementation: 1
+});
+assert.deepStrictEqual(data.ratings, { 800: 1, 1000: 1, 1200: 1, 1700: 1 });
+assert.deepStrictEqual(data.verdicts, {
+  OK: 5,
+  WRONG_ANSWER: 2,
+  TIME_LIMIT_EXCEEDED: 1,
+  RUNTIME_ERROR: 1
+});
+assert.deepStrictEqual(data.langs, { 'GNU C++17': 6, 'Python 3': 3 });
+assert.strictEqual(data.years, 1);
+var heatmapTotal = 0;
+for (var day in data.heatmap) heatmapTotal += data.heatmap[day];
+assert.strictEqual(heatmapTotal, 9);
+console.log('ok analyzeSubmissions');
+
+// both copies of the tree problem are one problem: a TLE in the contest, then two ACs
+var tree = data.problems[problemKey(subs[3].problem)];
+assert.strictEqual(tree, data.problems[problemKey(subs[4].problem)]);
+assert.strictEqual(tree.attempts, 2);
+assert.strictEqual(tree.solved, 2);
+assert.deepStrictEqual(tree.verdicts, { TIME_LIMIT_EXCEEDED: 1, OK: 2 });
+assert.strictEqual(tree.lastVerdict, 'OK');
+assert.deepStrictEqual(tree.lastFail, { id: subs[5].id, contestId: 1101 });
+console.log('ok div 1 and div 2 copies are merged');
+
+// without the contest list the copies can't be matched, they are two problems then
+var unmerged = analysis.analyzeSubmissions(subs, getProblemResolver([]));
+assert.strictEqual(unmerged.tried, 6);
+assert.strictEqual(unmerged.solved, 5);
+console.log('ok copies are apart without the contest list');
+
+// the compare page takes the solved problems from here too
+assert.strictEqual(analysis.getSolvedKeys(data).length, data.solved);
+
+var byRating = analysis.getSolveStats(data, 'rating');
+assert.deepStrictEqual(
+  byRating.map(function (s) {
+    return [s.key, s.tried, s.solved];
+  }),
+  [
+    [800, 1, 1],
+    [1000, 1, 1],
+    [1200, 1, 1],
+    [1700, 1, 1],
+    [2000, 1, 0]
+  ]
+);
+console.log('ok getSolvedKeys and getSolveStats');
+
+// the tree problem got a TLE in the contest and was upsolved three days after its start
+var participation = analysis.getParticipationStats(subs, problemKey, contests);
+assert.deepStrictEqual(participation.types, {
+  CONTESTANT: { submissions: 4, accepted: 2, solved: 2 },
+  PRACTICE: { submissions: 4, accepted: 3, solved: 2 },
+  VIRTUAL: { submissions: 1, accepted: 0, solved: 0 }
+});
+assert.strictEqual(participation.inContest, 2);
+assert.strictEqual(participation.upsolved, 1);
+assert.strictEqual(participation.notUpsolved, 0);
+// counted from the end of the two hour contest
+assert.strictEqual(participation.upsolveTime, 3 * 86400 - 7200);
+// without the durations, from the start
+assert.strictEqual(
+  analysis.getParticipationStats(subs, problemKey, []).upsolveTime,
+  3 * 86400
+);
+console.log('ok getParticipationStats');
@@ -0,0 +1,142 @@
+// Checks the rating calculator: tied ranks, tiny contests, and the predicted rating changes
+// of recorded rounds against the official ones. Record rounds with record_round.js.
+// Run with: node test/calculate_test.js
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var calc = require('../js/calculate.js');
+
+var ROUNDS_DIR = path.join(__dirname, 'fixtures', 'rounds');
+
+function ranksAfterReassign(ranks) {
+  var contestants = {
+    content: ranks.map(function (rank) {
+      return { rank: rank };
+    })
+  };
+  calc.reassignRanks(contestants);
+  return contestants.content.map(function (c) {
+    return c.rank;
+  });
+}
+
+// a tie takes the worst place of the group
+assert.deepStrictEqual(ranksAfterReassign([1, 2, 3]), [1, 2, 3]);
+assert.deepStrictEqual(ranksAfterReassign([1, 2, 2, 4, 5, 5]), [1, 3, 3, 4, 6, 6]);
+assert.deepStrictEqual(ranksAfterReassign([1, 1, 1]), [3, 3, 3]);
+assert.deepStrictEqual(ranksAfterReassign([3, 3, 7]), [2, 2, 3]);
+// places of the virtual page, between two ranks
+assert.deepStrictEqual(ranksAfterReassign([1, 1.5, 2, 2]), [1, 2, 4, 4]);
+console.log('ok reassignRanks');
+
+function deltas(ratings, ranks) {
+  var handles = ratings.map(function (r, i) {
+    return 'user' + i;
+  });
+  var results = calc.CalculateRatingChanges(ratings, ranks, handles);
+  var byHandle = {};
+  results.forEach(function (res) {
+    byHandle[res.party] = res.delta;
+  });
+  return handles.map(function (h) {
+    return byHandle[h];
+  });
+}
+
+assert.deepStrictEqual(calc.CalculateRatingChanges([], [], []), []);
+// alone the seed is 1 whatever the rating, only the -1 of the first correction is left
+assert.deepStrictEqual(deltas([1500], [1]), [-1]);
+assert.deepStrictEqual(deltas([2400], [1]), [-1]);
+// worked out by hand: the winner needs 1715 to be expected at rank sqrt(1.5),
+// the loser 1325 at sqrt(3), then both lose 11 to the sum correction
+assert.deepStrictEqual(deltas([1500, 1500], [1, 2]), [96, -98]);
+// a tie of equal ratings is the same for both
+var tied = deltas([1500, 1500], [1, 1]);
+assert.strictEqual(tied[0], tied[1]);
+var three = deltas([1500, 1500, 1500], [1, 2, 3]);
+assert.ok(three[0] > three[1] && three[1] > three[2], 'better rank, better change');
+var sum = three[0] + three[1] + three[2];
+assert.ok(sum <= 0 && sum > -3 * 3, 'the changes sum to a bit below 0');
+// the favourite gains less for winning
+var upset = deltas([1200, 1800, 1500], [1, 2, 3]);
+var expected = deltas([1800, 1200, 1500], [1, 2, 3]);
+assert.ok(upset[0] > expected[0]);
+console.log('ok tiny contests');
+
+// ten people of 1500: the winner is aimed at an expected rank of 1.5, nine chances of
+// 1 / 18 to beat them, 1500 + 400 * log10(17). the last symmetrically at 9.5
+var field = [1500, 1500, 1500, 1500, 1500, 1500, 1500, 1500, 1500, 1500];
+var first = calc.getPerformanceRating(field, 1500, 1);
+var last = calc.getPerformanceRating(field, 1500, 10);
+assert.ok(Math.abs(first - 1500 - 400 * Math.log10(17)) <= 1, 'first: ' + first);
+assert.ok(Math.abs(1500 - last - 400 * Math.log10(17)) <= 1, 'last: ' + last);
+assert.ok(calc.getPerformanceRating(field, 1500, 2) < first);
+assert.ok(calc.getPerformanceRating(field, 1500, 9) > last);
+assert.strictEqual(calc.getPerformanceRating([1500], 1500, 1), 1500);
+console.log('ok getPerformanceRating at the first and the last rank');
+
+// a recorded round is checked like the virtual page calculates it: the ratings before the
+// round from the rating changes, ranks from the standings, a displayed 0 is a first contest
+function checkRound(round) {
+  var changes = {};
+  round.ratingChanges.forEach(function (change) {
+    changes[change.handle] = change;
+  });
+  var ratings = [];
+  var ranks = [];
+  var handles = [];
+  var contestCounts = [];
+  round.rows.forEach(function (row) {
+    var change = changes[row.handle];
+    if (change === undefined) return; // unrated participant
+    ratings.push(change.oldRating);
+    ranks.push(row.rank);
+    handles.push(row.handle);
+    contestCounts.push(change.oldRating === 0 ? 0 : undefined);
+  });
+
+  var results = calc.CalculateRatingChanges(ratings, ranks, handles, contestCounts);
+  var stats = { count: results.length, exact: 0, maxDeviation: 0, maxHandle: '' };
+  results.forEach(function (res) {
+    var change = changes[res.party];
+    var deviation = Math.abs(res.displayDelta - (change.newRating - change.oldRating));
+    if (deviation === 0) stats.exact++;
+    if (deviation > stats.maxDeviation) {
+      stats.maxDeviation = deviation;
+      stats.maxHandle = res.party;
+    }
+  });
+  return stats;
+}
+
+var files = fs.existsSync(ROUNDS_DIR) ? fs.readdirSync(ROUNDS_DIR) : [];
+files = files.filter(function (f) {
+  return /\.json$/.test(f);
+});
+// the comparison with the official changes is the point, no rounds is a failure
+if (files.length === 0) {
+  console.error(
+    'no recorded rounds, record some with: node test/record_round.js <contestId>'
+  );
+  process.exitCode = 1;
+}
+files.forEach(function (f) {
+  var round = JSON.parse(fs.readFileSync(path.join(ROUNDS_DIR, f), 'utf8'));
+  var stats = checkRound(round);
+  assert.ok(stats.count > 0, f + ' has no rated participants');
+  console.log(
+    round.contestId +
+      ' ' +
+      round.name +
+      ': ' +
+      stats.exact +
+      ' of ' +
+      stats.count +
+      ' exact (' +
+      ((stats.exact / stats.count) * 100).toFixed(1) +
+      '%), max deviation ' +
+      stats.maxDeviation +
+      (stats.maxDeviation ? ' (' + stats.maxHandle + ')' : '')
+  );
+});
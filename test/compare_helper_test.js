@@ -0,0 +1,82 @@
+// Checks the merge of the rating timelines of the compare page.
+// Run with: node test/compare_helper_test.js
+
+var assert = require('assert');
+var helper = require('../js/compare_helper.js');
+
+// rows as [seconds, rating...], the dates are easier to compare so
+function align(timelines) {
+  return helper.alignTimeline(timelines).map(function (row) {
+    return [row[0].getTime() / 1000].concat(row.slice(1));
+  });
+}
+
+assert.deepStrictEqual(align([]), []);
+assert.deepStrictEqual(align([[], []]), []);
+console.log('ok no contests');
+
+// the ratings of a contest can be updated hours apart for different users
+assert.deepStrictEqual(align([[[1000, 1500, 10]], [[1000 + 3 * 3600, 1400, 10]]]), [
+  [1000, 1500, 1400]
+]);
+// but different contests are never joined, however close
+assert.deepStrictEqual(align([[[1000, 1500, 10]], [[1060, 1400, 11]]]), [
+  [1000, 1500, null],
+  [1060, 1500, 1400]
+]);
+console.log('ok joined on the contest id');
+
+// without the id, points less than MAX_TIME_DIFF apart are one contest
+assert.deepStrictEqual(align([[[1000, 1500]], [[1000 + 3600, 1400]]]), [
+  [1000, 1500, 1400]
+]);
+assert.deepStrictEqual(align([[[1000, 1500]], [[1000 + helper.MAX_TIME_DIFF, 1400]]]), [
+  [1000, 1500, null],
+  [1000 + helper.MAX_TIME_DIFF, 1500, 1400]
+]);
+// a user has one rating per contest, their next point is another contest
+assert.deepStrictEqual(
+  align([
+    [
+      [1000, 1500],
+      [1000 + 3600, 1600]
+    ]
+  ]),
+  [
+    [1000, 1500],
+    [1000 + 3600, 1600]
+  ]
+);
+var row = { time: 1000, ratings: [1500] };
+assert.strictEqual(helper.findRowNear([row], 2000, 0), undefined);
+assert.strictEqual(helper.findRowNear([row], 2000, 1), row);
+assert.strictEqual(helper.findRowNear([row], 1000 + helper.MAX_TIME_DIFF, 1), undefined);
+console.log('ok joined on the time without the contest id');
+
+// four users, one of them without contests: ratings are carried to the next rows and are
+// null before the first contest of the user
+assert.deepStrictEqual(
+  align([
+    [
+      [1000, 1500, 10],
+      [100000, 1550, 11],
+      [200000, 1600]
+    ],
+    [
+      [6000, 1400, 10],
+      [200000 + 3600, 1450]
+    ],
+    [],
+    [
+      [100010, 1900, 11],
+      [300000, 2000, 12]
+    ]
+  ]),
+  [
+    [1000, 1500, 1400, null, null],
+    [100000, 1550, 1400, null, 1900],
+    [200000, 1600, 1450, null, 1900],
+    [300000, 1600, 1450, null, 2000]
+  ]
+);
+console.log('ok carried forward, null before the first contest');
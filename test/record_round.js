@@ -0,0 +1,98 @@
+// Records the standings and the rating changes of finished rated rounds as fixtures for
+// calculate_test.js, one file per round in test/fixtures/rounds.
+// Only the fields the calculator needs are kept, the full standings of a big round are MBs.
+// Run with: node test/record_round.js <contestId> [<contestId> ...]
+
+var fs = require('fs');
+var https = require('https');
+var path = require('path');
+
+var API_URL = 'https://codeforces.com/api/';
+var API_INTERVAL = 2100; // codeforces allows one call per two seconds
+var ROUNDS_DIR = path.join(__dirname, 'fixtures', 'rounds');
+
+function call(method, params, callback) {
+  var query = Object.keys(params)
+    .map(function (k) {
+      return k + '=' + encodeURIComponent(params[k]);
+    })
+    .join('&');
+  https
+    .get(API_URL + method + '?' + query, function (res) {
+      var body = '';
+      res.setEncoding('utf8');
+      res.on('data', function (chunk) {
+        body += chunk;
+      });
+      res.on('end', function () {
+        var data;
+        try {
+          data = JSON.parse(body);
+        } catch (e) {
+          return callback(
+            new Error(method + ': unexpected response (' + res.statusCode + ')')
+          );
+        }
+        if (data.status != 'OK') return callback(new Error(method + ': ' + data.comment));
+        callback(null, data.result);
+      });
+    })
+    .on('error', callback);
+}
+
+function record(contestId, callback) {
+  call('contest.standings', { contestId: contestId }, function (err, standings) {
+    if (err) return callback(err);
+    setTimeout(function () {
+      call('contest.ratingChanges', { contestId: contestId }, function (err, changes) {
+        if (err) return callback(err);
+        if (changes.length === 0) return callback(new Error('contest is not rated'));
+        var round = {
+          contestId: contestId,
+          name: standings.contest.name,
+          type: standings.contest.type,
+          rows: standings.rows.map(function (row) {
+            return {
+              handle: row.party.members[0].handle,
+              rank: row.rank,
+              points: row.points,
+              penalty: row.penalty
+            };
+          }),
+          ratingChanges: changes.map(function (change) {
+            return {
+              handle: change.handle,
+              rank: change.rank,
+              oldRating: change.oldRating,
+              newRating: change.newRating
+            };
+          })
+        };
+        var file = path.join(ROUNDS_DIR, contestId + '.json');
+        fs.writeFileSync(file, JSON.stringify(round));
+        console.log('recorded ' + round.name + ' to ' + file);
+        callback(null);
+      });
+    }, API_INTERVAL);
+  });
+}
+
+var ids = process.argv.slice(2);
+if (ids.length === 0) {
+  console.log('usage: node test/record_round.js <contestId> [<contestId> ...]');
+  process.exit(1);
+}
+if (!fs.existsSync(ROUNDS_DIR)) fs.mkdirSync(ROUNDS_DIR);
+
+(function next(i) {
+  if (i >= ids.length) return;
+  record(ids[i], function (err) {
+    if (err) {
+      console.error('contest ' + ids[i] + ': ' + err.message);
+      process.exitCode = 1;
+    }
+    setTimeout(function () {
+      next(i + 1);
+    }, API_INTERVAL);
+  });
+})(0);